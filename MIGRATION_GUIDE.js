@@ -54,6 +54,14 @@ function createLogger(moduleName) {
   return new AppLogger(moduleName, loggerConfig);
 }
 
+// Alternatively, configure once and let modules share one set of transports
+// instead of each opening its own log file:
+//
+//   AppLogger.configure({ name: 'homeEnvMon', logTracelevel: config.get('application:logTracelevel') });
+//   const logger = AppLogger.get('sensor-processor');
+//   ...
+//   await AppLogger.closeAll();   // on shutdown
+
 // ========================================
 // STEP 4: USAGE EXAMPLES
 // ========================================
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview app-logger command of the Application Logger Service
+ * @author Daniel S. A. Khan
+ * @copyright Daniel S. A. Khan (c) 2021-2025
+ * @description Runs the command-line tool, see `app-logger --help`
+ */
+
+const cli                              =   require('../src/cli');
+
+/**
+ * Creates an AbortController, or on Node 14, which has none, an object
+ * offering the part of it the follow loop uses
+ * @returns {Object} `{ signal, abort() }`
+ */
+function createAbortController()
+{   if (typeof AbortController === 'function')
+    {   return new AbortController();
+    }
+    const listeners                    =   new Set();
+    const signal                       =   {   aborted: false,
+                                               addEventListener: (type, listener) => listeners.add(listener),
+                                               removeEventListener: (type, listener) => listeners.delete(listener)
+                                           };
+    return {   signal,
+               abort()
+               {   if (!signal.aborted)
+                   {   signal.aborted  =   true;
+                       listeners.forEach(listener => listener());
+                   }
+               }
+           };
+}
+
+const controller                       =   createAbortController();
+
+// Ctrl+C ends following cleanly instead of killing the process mid-write
+process.once('SIGINT', () => controller.abort());
+process.stdout.on('error', (error) =>
+{   if (error.code === 'EPIPE')
+    {   process.exit(0);
+    }
+    throw error;
+});
+
+cli.run(process.argv.slice(2), {   stdin: process.stdin,
+                                   stdout: process.stdout,
+                                   stderr: process.stderr,
+                                   signal: controller.signal
+                               }).then((code) =>
+{   process.exitCode                   =   code;
+    process.removeAllListeners('SIGINT');
+});
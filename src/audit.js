@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Tamper-evident audit log chaining for the Application Logger Service
+ * @author Daniel S. A. Khan
+ * @copyright Daniel S. A. Khan (c) 2021-2025
+ * @description Numbers audit entries, chains them with an HMAC of the previous entry and verifies written chains
+ */
+
+const crypto                           =   require('crypto');
+const fs                               =   require('fs');
+const path                             =   require('path');
+const zlib                             =   require('zlib');
+
+/**
+ * Splits an audit line into the hashed body and its hash
+ */
+const AUDIT_LINE                       =   /^(\{"seq":(\d+),"prev":(?:null|"([0-9a-f]{64})"),"entry":.*),"hash":"([0-9a-f]{64})"\}$/;
+
+/**
+ * Bytes read at a time when looking for the last line of a file
+ */
+const TAIL_CHUNK                       =   65536;
+
+/**
+ * Computes the HMAC of an audit line body
+ * @param {string|Buffer} key - HMAC key
+ * @param {string} body - Line up to, but excluding, the hash field
+ * @returns {string} Hex encoded HMAC-SHA256
+ */
+function computeHash(key, body)
+{   return crypto.createHmac('sha256', key).update(body).digest('hex');
+}
+
+
+
+/**
+ * Parses an audit line
+ * @param {string} line - Line as written to the file
+ * @returns {{seq: number, prev: string|null, body: string, hash: string}|null} Parsed line, null when malformed
+ */
+function parseLine(line)
+{   const match                        =   AUDIT_LINE.exec(line);
+    return match ? { seq: Number(match[2]), prev: match[3] || null, body: match[1], hash: match[4] } : null;
+}
+
+
+
+/**
+ * Reads the last non-empty line of a file, gzipped files are read whole
+ * @param {string} file - File to read
+ * @returns {string} Last line, empty when the file is empty
+ */
+function readLastLine(file)
+{   if (file.endsWith('.gz'))
+    {   return zlib.gunzipSync(fs.readFileSync(file)).toString('utf8').trimEnd().split('\n').pop();
+    }
+    const fd                           =   fs.openSync(file, 'r');
+    try
+    {   let position                   =   fs.fstatSync(fd).size;
+        let tail                       =   Buffer.alloc(0);
+        while (position > 0)
+        {   const length               =   Math.min(TAIL_CHUNK, position);
+            const chunk                =   Buffer.alloc(length);
+            position                  -=   length;
+            fs.readSync(fd, chunk, 0, length, position);
+            tail                       =   Buffer.concat([chunk, tail]);
+            const lines                =   tail.toString('utf8').trimEnd().split('\n');
+            if (lines.length > 1 || position === 0)
+            {   return lines.pop();
+            }
+        }
+        return '';
+    }
+    finally
+    {   fs.closeSync(fd);
+    }
+}
+
+
+
+/**
+ * Creates the chain of an audit output, continuing after the last entry
+ * found in its files so restarts and reconfiguration keep one chain
+ * @param {string|Buffer} key - HMAC key
+ * @param {string[]} files - Files of the output, newest first; gzipped copies are tried as well
+ * @returns {Function} `(entry) => line` turning a JSON entry into a chained audit line
+ */
+function createAuditChain(key, files)
+{   let last                           =   null;
+    for (const file of files.flatMap(name => [name, `${name}.gz`]))
+    {   const line                     =   fs.existsSync(file) ? readLastLine(file) : '';
+        if (line)
+        {   // A damaged last line starts a new chain, which verification reports
+            last                       =   parseLine(line);
+            break;
+        }
+    }
+
+    let seq                            =   last ? last.seq : 0;
+    let prev                           =   last ? last.hash : null;
+    return (entry) =>
+    {   const body                     =   `{"seq":${seq + 1},"prev":${JSON.stringify(prev)},"entry":${entry}`;
+        seq                           +=   1;
+        prev                           =   computeHash(key, body);
+        return `${body},"hash":"${prev}"}`;
+    };
+}
+
+
+
+/**
+ * Finds an audit file and its rotated siblings: dated copies, size
+ * rotated copies and gzipped archives
+ * @param {string} file - Audit file as configured, e.g. 'logs/api.audit.log'
+ * @returns {Promise<string[]>} Paths of the files found
+ */
+async function findAuditFiles(file)
+{   const directory                    =   path.dirname(file);
+    const extension                    =   path.extname(file);
+    const stem                         =   path.basename(file, extension);
+    const escape                       =   text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern                      =   new RegExp(`^${escape(stem)}(-.+)?${escape(extension)}(\\.\\d+)?(\\.gz)?$`);
+    const names                        =   await fs.promises.readdir(directory).catch(() => []);
+    return names.filter(name => pattern.test(name)).map(name => path.join(directory, name));
+}
+
+
+
+/**
+ * Verifies the chain of an audit output across all of its files. Files are
+ * ordered by their first sequence number, then every entry must carry a
+ * valid HMAC, the next sequence number and the hash of the entry before it.
+ * The chain must start at entry 1 unless pruned chains are allowed.
+ * @param {string} file - Audit file as configured, rotated siblings are included
+ * @param {string|Buffer} key - HMAC key the entries were written with
+ * @param {Object} [options] - Verification options
+ * @param {boolean} [options.allowPruned] - Accept a chain whose oldest entries were removed
+ * together with their files, for example by maxFiles
+ * @returns {Promise<Object>} `{ valid, entries, firstSeq, lastSeq, files, broken }`, broken
+ * holding `{ file, line, seq, reason }` of the first bad or missing entry
+ */
+async function verifyAuditLog(file, key, options = {})
+{   const chunks                       =   [];
+    for (const name of await findAuditFiles(file))
+    {   const content                  =   await fs.promises.readFile(name);
+        const lines                    =   (name.endsWith('.gz') ? zlib.gunzipSync(content) : content).toString('utf8').split('\n').filter(Boolean);
+        const first                    =   lines.length > 0 ? parseLine(lines[0]) : null;
+        if (lines.length > 0)
+        {   chunks.push({ file: name, lines, first: first ? first.seq : Infinity });
+        }
+    }
+    if (chunks.length === 0)
+    {   throw new Error(`No audit entries found for ${path.resolve(file)}`);
+    }
+    chunks.sort((a, b) => a.first - b.first);
+
+    const result                       =   { valid: true, entries: 0, firstSeq: null, lastSeq: null, files: chunks.map(chunk => chunk.file), broken: null };
+    let expected                       =   options.allowPruned ? null : 1;
+    let prev                           =   null;
+    for (const chunk of chunks)
+    {   for (const [index, line] of chunk.lines.entries())
+        {   const entry                =   parseLine(line);
+            let reason                 =   null;
+            if (!entry)
+            {   reason                 =   'malformed entry';
+            }
+            else if (computeHash(key, entry.body) !== entry.hash)
+            {   reason                 =   'hash mismatch, the entry was changed or the key is wrong';
+            }
+            else if (expected !== null && entry.seq !== expected)
+            {   const missing          =   entry.seq - 1 > expected ? `entries ${expected} to ${entry.seq - 1} are missing` : `entry ${expected} is missing`;
+                reason                 =   entry.seq > expected ? missing : `unexpected sequence number, expected ${expected}`;
+            }
+            else if ((expected === null && entry.seq === 1 && entry.prev !== null) || (expected !== null && entry.prev !== prev))
+            {   reason                 =   'previous hash does not match the entry before';
+            }
+            if (reason)
+            {   result.valid           =   false;
+                result.broken          =   { file: chunk.file, line: index + 1, seq: entry ? entry.seq : expected, reason };
+                return result;
+            }
+            result.firstSeq            =   result.firstSeq === null ? entry.seq : result.firstSeq;
+            result.lastSeq             =   entry.seq;
+            result.entries            +=   1;
+            expected                   =   entry.seq + 1;
+            prev                       =   entry.hash;
+        }
+    }
+    return result;
+}
+
+module.exports                         =   {   createAuditChain,
+                                               verifyAuditLog
+                                           };
@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Buffered writing for the Application Logger Service
+ * @author Daniel S. A. Khan
+ * @copyright Daniel S. A. Khan (c) 2021-2025
+ * @description Queues prepared entries and hands them to the transports in batches
+ */
+
+/**
+ * Default buffer options
+ */
+const DEFAULT_BUFFER                   =   {   size: 100,
+                                               interval: 1000,
+                                               maxEntries: 10000,
+                                               overflow: 'dropOldest'
+                                           };
+
+/**
+ * What a full buffer does with another entry
+ */
+const OVERFLOW_POLICIES                =   ['dropOldest', 'dropNewest', 'block'];
+
+/**
+ * Creates the write buffer of a logger. Entries are queued with the
+ * timestamp and payload taken at the call and written in a batch once
+ * `size` entries are queued, on the next turn of the event loop, or
+ * `interval` milliseconds after the first one. A full buffer drops its
+ * oldest entry, drops the new one, or blocks: the new entry waits for the
+ * next batch and the promise its caller awaits settles once it is written.
+ * At most `maxEntries` entries wait that way, further ones are dropped.
+ * The promise of a dropped entry whose write is confirmed rejects.
+ * @param {Object|null} options - Buffer options
+ * @param {number} [options.size] - Entries that start a batch
+ * @param {number} [options.interval] - Milliseconds an entry waits at most
+ * @param {number} [options.maxEntries] - Entries held at most
+ * @param {string} [options.overflow] - 'dropOldest', 'dropNewest' or 'block'
+ * @param {Function} write - `(level, message, meta)` writes an entry, returning a promise or undefined
+ * @param {Function} onOverflow - `(dropped)` reports the entries dropped since the last batch
+ * @returns {Object|null} `{ push(level, message, meta, confirm), flush() }`, or null when buffering is off
+ */
+function createBuffer(options, write, onOverflow)
+{   if (!options)
+    {   return null;
+    }
+
+    const settings                     =   { ...DEFAULT_BUFFER, ...options };
+    let queue                          =   [];
+    let blocked                        =   [];
+    let dropped                        =   0;
+    let timer                          =   null;
+    let immediate                      =   null;
+
+    // Writes everything queued, then the entries waiting for room
+    const flush = () =>
+    {   clearTimeout(timer);
+        clearImmediate(immediate);
+        timer                          =   null;
+        immediate                      =   null;
+        const batch                    =   queue.concat(blocked);
+        queue                          =   [];
+        blocked                        =   [];
+        if (dropped > 0)
+        {   onOverflow(dropped);
+            dropped                    =   0;
+        }
+        for (const entry of batch)
+        {   const written              =   write(entry.level, entry.message, entry.meta);
+            if (entry.resolve)
+            {   Promise.resolve(written).then(entry.resolve, entry.reject);
+            }
+        }
+    };
+
+    // The interval timer is not unref'd, so a process ending normally still writes its last batch
+    const schedule = () =>
+    {   if (queue.length >= settings.size && !immediate)
+        {   immediate                  =   setImmediate(flush);
+        }
+        else if (!timer)
+        {   timer                      =   setTimeout(flush, settings.interval);
+        }
+    };
+
+    return {   push(level, message, meta, confirm)
+               {   const entry         =   { level, message, meta };
+                   const full          =   queue.length >= settings.maxEntries;
+                   const blocking      =   full && settings.overflow === 'block' && blocked.length < settings.maxEntries;
+                   const settled       =   confirm || blocking
+                                               ? new Promise((resolve, reject) => Object.assign(entry, { resolve, reject }))
+                                               : undefined;
+                   if (!full)
+                   {   queue.push(entry);
+                   }
+                   else if (blocking)
+                   {   blocked.push(entry);
+                   }
+                   else
+                   {   // A blocking buffer whose waiting entries are full drops the new entry
+                       const lost      =   settings.overflow === 'dropOldest' ? queue.shift() : entry;
+                       dropped        +=   1;
+                       if (lost.reject)
+                       {   lost.reject(new Error(`Entry dropped, the write buffer is full (overflow: ${settings.overflow})`));
+                       }
+                       if (lost !== entry)
+                       {   queue.push(entry);
+                       }
+                   }
+                   schedule();
+                   return settled;
+               },
+               flush
+           };
+}
+
+module.exports                         =   {   DEFAULT_BUFFER,
+                                               OVERFLOW_POLICIES,
+                                               createBuffer
+                                           };
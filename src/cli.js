@@ -0,0 +1,459 @@
+/**
+ * @fileoverview Command-line tool of the Application Logger Service
+ * @author Daniel S. A. Khan
+ * @copyright Daniel S. A. Khan (c) 2021-2025
+ * @description Views, follows and summarizes app-logger files or piped log lines
+ */
+
+const fs                               =   require('fs');
+const path                             =   require('path');
+const reader                           =   require('./reader');
+const levelDefinitions                 =   require('./levels');
+const { DATE_OPTIONS }                 =   require('./config');
+
+/**
+ * Help text
+ */
+const USAGE                            =   `Usage: app-logger <command> [options] [files...]
+
+Commands:
+  view [files...]       Print entries, colored by level
+  follow <file>         Print the entries appended to a live file, across rotations
+  stats [files...]      Count entries per level and hour
+
+Without files, view and stats read log lines piped to stdin.
+
+Options:
+  -l, --level <level>     Entries at this level or more severe, and entries of levels it cannot rank
+      --levels <list>     Custom levels of the files with their priorities, such as fatal=0,audit=2
+  -r, --route <route>     Route, or /pattern/
+  -t, --text <text>       Case-insensitive text, or /pattern/flags, in the message or data
+      --from <time>       Earliest time: a date, epoch milliseconds or an age such as 30m, 2h, 1d
+      --to <time>         Latest time, in the same forms as --from
+  -n, --lines <count>     view: only the last <count> entries; follow: entries to start with (10)
+      --json              Print JSON lines instead of text
+      --locale <locale>   Locale of 'locale' timestamps (de-DE)
+      --time-zone <zone>  Time zone of 'locale' timestamps (local time)
+      --interval <ms>     follow: milliseconds between checks for new entries (250)
+      --color             Color the output, default for terminals
+      --no-color          Do not color the output
+  -h, --help              Show this help
+`;
+
+/**
+ * Options by flag, with the name they are stored under and whether they take a value
+ */
+const OPTIONS                          =   {   '-l': { name: 'level', value: true },
+                                               '--level': { name: 'level', value: true },
+                                               '--levels': { name: 'levels', value: true },
+                                               '-r': { name: 'route', value: true },
+                                               '--route': { name: 'route', value: true },
+                                               '-t': { name: 'text', value: true },
+                                               '--text': { name: 'text', value: true },
+                                               '--from': { name: 'from', value: true },
+                                               '--to': { name: 'to', value: true },
+                                               '-n': { name: 'lines', value: true },
+                                               '--lines': { name: 'lines', value: true },
+                                               '--json': { name: 'json', value: false },
+                                               '--locale': { name: 'locale', value: true },
+                                               '--time-zone': { name: 'timeZone', value: true },
+                                               '--interval': { name: 'interval', value: true },
+                                               '--color': { name: 'color', value: false },
+                                               '--no-color': { name: 'noColor', value: false },
+                                               '-h': { name: 'help', value: false },
+                                               '--help': { name: 'help', value: false }
+                                           };
+
+/**
+ * Supported commands
+ */
+const COMMANDS                         =   ['view', 'follow', 'stats'];
+
+/**
+ * Date a rotating file transport puts before the extension, such as
+ * '-2025-01-31-10' or '-20250131'; a short number like '-2' is part of the route
+ */
+const DATE_SUFFIX                      =   /-(?:\d+(?:-\d+)+|\d{6,})$/;
+
+/**
+ * Milliseconds of the units of ages such as '30m'
+ */
+const AGE_UNITS                        =   { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+/**
+ * Creates an error reported together with the usage
+ * @param {string} message - Problem description
+ * @returns {Error} Error marked as a usage error
+ */
+function usageError(message)
+{   const error                        =   new Error(message);
+    error.usage                        =   true;
+    return error;
+}
+
+
+
+/**
+ * Parses the command line
+ * @param {string[]} argv - Arguments after the program name
+ * @returns {{command: string, files: string[], options: Object}} Parsed command line
+ */
+function parseArguments(argv)
+{   const options                      =   {};
+    const files                        =   [];
+    for (let index = 0; index < argv.length; index++)
+    {   const argument                 =   argv[index];
+        const option                   =   OPTIONS[argument];
+        if (option && option.value)
+        {   if (index + 1 >= argv.length)
+            {   throw usageError(`${argument} needs a value`);
+            }
+            options[option.name]       =   argv[++index];
+        }
+        else if (option)
+        {   options[option.name]       =   true;
+        }
+        else if (argument.startsWith('-') && argument !== '-')
+        {   throw usageError(`Unknown option ${argument}`);
+        }
+        else
+        {   files.push(argument);
+        }
+    }
+    const command                      =   options.help ? 'help' : files.shift();
+    if (command !== 'help' && !COMMANDS.includes(command))
+    {   throw usageError(command ? `Unknown command '${command}'` : 'No command given');
+    }
+    return { command, files, options };
+}
+
+
+
+/**
+ * Parses a text filter, `/pattern/flags` becomes a regular expression
+ * @param {string|undefined} value - Option value
+ * @returns {string|RegExp|undefined} Filter value
+ */
+function parsePattern(value)
+{   const match                        =   value === undefined ? null : /^\/(.*)\/([a-z]*)$/.exec(value);
+    return match ? new RegExp(match[1], match[2]) : value;
+}
+
+
+
+/**
+ * Parses the custom levels of the files, such as 'fatal=0,audit=2'
+ * @param {string|undefined} value - Option value
+ * @returns {Object} `{ levels, colors }` of the built-in and the custom levels
+ */
+function parseLevels(value)
+{   const definitions                  =   {};
+    for (const part of value === undefined ? [] : value.split(','))
+    {   const match                    =   /^([a-z][a-zA-Z0-9]*)=(\d+)$/.exec(part.trim());
+        if (!match)
+        {   throw usageError(`--levels must list levels with their priority such as 'fatal=0,audit=2', got '${part}'`);
+        }
+        definitions[match[1]]          =   Number(match[2]);
+    }
+    return levelDefinitions.resolveLevels(definitions);
+}
+
+
+
+/**
+ * Parses a point in time, ages such as '2h' count back from now
+ * @param {string|undefined} value - Option value
+ * @returns {string|number|undefined} Date string or epoch milliseconds
+ */
+function parseTime(value)
+{   const age                          =   value === undefined ? null : /^(\d+)([smhd])$/.exec(value);
+    if (age)
+    {   return Date.now() - (Number(age[1]) * AGE_UNITS[age[2]]);
+    }
+    return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+
+
+/**
+ * Parses a count option
+ * @param {string|undefined} value - Option value
+ * @param {string} name - Option name for the error message
+ * @returns {number|undefined} Count
+ */
+function parseCount(value, name)
+{   if (value !== undefined && !/^\d+$/.test(value))
+    {   throw usageError(`--${name} must be a whole number, got '${value}'`);
+    }
+    return value === undefined ? undefined : Number(value);
+}
+
+
+
+/**
+ * Creates a timestamp parser that recognizes epoch, ISO and locale
+ * timestamps with or without milliseconds
+ * @param {Object} options - Parsed options
+ * @returns {Function} `(text) => Date|null`
+ */
+function createTimestampParser(options)
+{   const settings                     =   { timestampFormat: 'locale', dateLocale: options.locale || 'de-DE', timeZone: options.timeZone || null };
+    const parsers                      =   [false, true].map(timestampMilliseconds => reader.createTimestampParser({ ...settings, timestampMilliseconds }, DATE_OPTIONS));
+
+    return (text) =>
+    {   if (/^\d+$/.test(text))
+        {   return new Date(Number(text));
+        }
+        if (/^\d{4}-\d{2}-\d{2}T/.test(text))
+        {   return new Date(text);
+        }
+        return parsers[0](text) || parsers[1](text);
+    };
+}
+
+
+
+/**
+ * Formats a time as local `YYYY-MM-DD HH:mm:ss.SSS`
+ * @param {Date|null} time - Time to format
+ * @returns {string} Formatted time, '-' when unknown
+ */
+function formatTime(time)
+{   if (!time)
+    {   return '-';
+    }
+    const pad                          =   (value, length = 2) => String(value).padStart(length, '0');
+    return `${time.getFullYear()}-${pad(time.getMonth() + 1)}-${pad(time.getDate())} ${pad(time.getHours())}:${pad(time.getMinutes())}:${pad(time.getSeconds())}.${pad(time.getMilliseconds(), 3)}`;
+}
+
+
+
+/**
+ * Formats an entry for the terminal, colored like the logger's console output
+ * @param {Object} entry - Parsed entry
+ * @param {Object|null} colors - Color specifications by level, null prints without color
+ * @returns {string} Formatted entry, error stacks on the following lines
+ */
+function formatEntry(entry, colors)
+{   const context                      =   entry.context ? `[${Object.entries(entry.context).map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`).join(' ')}] ` : '';
+    let text                           =   `${formatTime(entry.timestamp)} ${entry.level.toUpperCase().padStart(9)} [${entry.route}] ${context}${entry.message}`;
+    if (entry.data !== undefined)
+    {   text                          +=   ` ${JSON.stringify(entry.data)}`;
+    }
+    if (entry.stack)
+    {   text                          +=   `\n${entry.stack.split('\n').map(line => `    ${line}`).join('\n')}`;
+    }
+    return colors ? levelDefinitions.colorize(text, colors[entry.level]) : text;
+}
+
+
+
+/**
+ * Derives the route of a log file from its name by removing the suffixes
+ * the logger adds, e.g. 'api' from 'api-2025-01-31.log.1' or
+ * 'api.error.log' and 'api.v2' from 'api.v2.log'. Text entries of the
+ * route owning a file carry no route prefix.
+ * @param {string} file - Log file
+ * @returns {string} Route
+ */
+function fileRoute(file)
+{   return path.basename(file).replace(/\.gz$/, '')
+                              .replace(/\.\d+$/, '')
+                              .replace(/\.log$/, '')
+                              .replace(DATE_SUFFIX, '')
+                              .replace(/\.(error|audit)$/, '') || '-';
+}
+
+
+
+/**
+ * Reads the entries of files, or of stdin when no file is given
+ * @param {string[]} files - Plain or gzipped log files
+ * @param {Object} io - Streams of the command
+ * @param {Function} createParser - Returns a fresh entry parser for the route of a file
+ * @returns {AsyncGenerator<Object>} Entries, files in natural name order
+ */
+async function* readSources(files, io, createParser)
+{   if (files.length === 0)
+    {   yield* reader.parseStream(io.stdin, createParser('-'));
+        return;
+    }
+    // Natural order puts rotated files such as api.log.2 before api.log.10
+    for (const file of files.slice().sort((a, b) => a.localeCompare(b, 'en', { numeric: true })))
+    {   yield* reader.readEntries(file, createParser(fileRoute(file)));
+    }
+}
+
+
+
+/**
+ * Creates a function returning the newest file of the rotation set of a
+ * file: its name with another date before the extension, or another
+ * rotation counter after it. Other digits, such as those of the route,
+ * must match.
+ * @param {string} file - Log file
+ * @returns {Function} `() => string` newest uncompressed file of the set
+ */
+function rotationSet(file)
+{   const directory                    =   path.dirname(file);
+    const escape                       =   text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const name                         =   path.basename(file).replace(/\.\d+$/, '');
+    const extension                    =   path.extname(name);
+    const stem                         =   name.slice(0, name.length - extension.length);
+    const dated                        =   DATE_SUFFIX.test(stem);
+    const source                       =   `${escape(stem.replace(DATE_SUFFIX, ''))}${dated ? '-\\d[\\d-]*' : ''}${escape(extension)}`;
+    const pattern                      =   new RegExp(`^${source}(\\.\\d+)?$`);
+
+    return () =>
+    {   const candidates               =   fs.readdirSync(directory).filter(name => pattern.test(name)).map((name) =>
+        {   const location             =   path.join(directory, name);
+            return { location, modified: fs.statSync(location).mtimeMs };
+        });
+        candidates.sort((a, b) => a.modified - b.modified || a.location.localeCompare(b.location, 'en', { numeric: true }));
+        return candidates.length > 0 ? candidates[candidates.length - 1].location : file;
+    };
+}
+
+
+
+/**
+ * Prints entries, the last `lines` of them when given
+ * @param {AsyncIterable<Object>} entries - Entries to print
+ * @param {Object} settings - Print settings
+ * @returns {Promise<void>}
+ */
+async function printEntries(entries, { filter, lines, json, color, levels, stdout })
+{   const print                        =   entry => stdout.write(`${json ? JSON.stringify(entry) : formatEntry(entry, color ? levels.colors : null)}\n`);
+    const recent                       =   [];
+    for await (const entry of entries)
+    {   if (!filter(entry))
+        {   continue;
+        }
+        if (lines === undefined)
+        {   print(entry);
+            continue;
+        }
+        recent.push(entry);
+        if (recent.length > lines)
+        {   recent.shift();
+        }
+    }
+    recent.forEach(print);
+}
+
+
+
+/**
+ * Counts entries per hour and level and prints them as a table or JSON
+ * @param {AsyncIterable<Object>} entries - Entries to count
+ * @param {Object} settings - Print settings
+ * @returns {Promise<void>}
+ */
+async function printStats(entries, { filter, json, color, levels, stdout })
+{    const hours                        =   new Map();
+    const totals                       =   {};
+    for await (const entry of entries)
+    {   if (!filter(entry))
+        {   continue;
+        }
+        const hour                     =   entry.timestamp ? `${formatTime(entry.timestamp).slice(0, 13)}:00` : '-';
+        const counts                   =   hours.get(hour) || {};
+        counts[entry.level]            =   (counts[entry.level] || 0) + 1;
+        totals[entry.level]            =   (totals[entry.level] || 0) + 1;
+        hours.set(hour, counts);
+    }
+
+    const rows                         =   Array.from(hours.keys()).sort().map(hour => ({ hour, counts: hours.get(hour), total: Object.values(hours.get(hour)).reduce((sum, count) => sum + count, 0) }));
+    const total                        =   rows.reduce((sum, row) => sum + row.total, 0);
+    if (json)
+    {   stdout.write(`${JSON.stringify({ hours: rows, counts: totals, total })}\n`);
+        return;
+    }
+
+    // Known levels by severity, then other levels found in the files
+    const columns                      =   Object.keys(levels.levels).sort((a, b) => levels.levels[a] - levels.levels[b])
+                                                   .concat(Object.keys(totals).filter(level => !(level in levels.levels)).sort());
+    const widths                       =   columns.map(level => Math.max(level.length, String(totals[level] || 0).length));
+    const line                         =   (label, values, total) => `${label.padEnd(16)}${values.map((value, index) => `  ${String(value).padStart(widths[index])}`).join('')}  ${String(total).padStart(5)}\n`;
+    const header                       =   line('hour', columns, 'total');
+    stdout.write(color ? columns.reduce((text, level) => text.replace(` ${level}  `, ` ${levelDefinitions.colorize(level, levels.colors[level])}  `), header) : header);
+    rows.forEach(row => stdout.write(line(row.hour, columns.map(level => row.counts[level] || 0), row.total)));
+    stdout.write(line('total', columns.map(level => totals[level] || 0), total));
+}
+
+
+
+/**
+ * Runs the command line tool
+ * @param {string[]} argv - Arguments after the program name
+ * @param {Object} io - Streams and signal of the command
+ * @param {Object} io.stdin - Input read when no file is given
+ * @param {Object} io.stdout - Output
+ * @param {Object} io.stderr - Error output
+ * @param {AbortSignal} [io.signal] - Ends following
+ * @returns {Promise<number>} Exit code: 0 on success, 1 on errors, 2 on usage errors
+ */
+async function run(argv, io)
+{   try
+    {   const { command, files, options }  =   parseArguments(argv);
+        if (command === 'help')
+        {   io.stdout.write(USAGE);
+            return 0;
+        }
+        const definitions              =   parseLevels(options.levels);
+        const { levels }               =   definitions;
+        const filters                  =   {   route: parsePattern(options.route),
+                                               text: parsePattern(options.text),
+                                               from: parseTime(options.from),
+                                               to: parseTime(options.to)
+                                           };
+        const ranked                   =   reader.createEntryFilter({ ...filters, level: options.level }, levels);
+        const unranked                 =   reader.createEntryFilter(filters, levels);
+        // The level threshold cannot rank levels missing from --levels, their entries are kept rather than dropped
+        const filter                   =   entry => (entry.level in levels ? ranked(entry) : unranked(entry));
+        const parseTimestamp           =   createTimestampParser(options);
+        const createParser             =   route => reader.createEntryParser({ route, levels, parseTimestamp });
+        const color                    =   options.noColor ? false : Boolean(options.color || (io.stdout.isTTY && !process.env.NO_COLOR));
+        const lines                    =   parseCount(options.lines, 'lines');
+        const settings                 =   { filter, json: Boolean(options.json), color, levels: definitions, stdout: io.stdout };
+
+        for (const file of files)
+        {   if (!fs.existsSync(file))
+            {   throw new Error(`No such file: ${file}`);
+            }
+        }
+        if (files.length === 0 && (command === 'follow' || io.stdin.isTTY))
+        {   throw usageError(command === 'follow' ? 'follow needs a file' : `${command} needs files or log lines piped to stdin`);
+        }
+
+        if (command === 'stats')
+        {   await printStats(readSources(files, io, createParser), settings);
+        }
+        else if (command === 'view')
+        {   await printEntries(readSources(files, io, createParser), { ...settings, lines });
+        }
+        else
+        {   const currentFile          =   rotationSet(files[0]);
+            const file                 =   currentFile();
+            const offset               =   fs.statSync(file).size;
+            await printEntries(reader.readEntries(file, createParser(fileRoute(file)), offset), { ...settings, lines: lines === undefined ? 10 : lines });
+            await printEntries(reader.followFile({   currentFile,
+                                                     file,
+                                                     offset,
+                                                     filter,
+                                                     createParser: () => createParser(fileRoute(file)),
+                                                     active: () => true,
+                                                     interval: parseCount(options.interval, 'interval'),
+                                                     signal: io.signal
+                                                 }), settings);
+        }
+        return 0;
+    }
+    catch (error)
+    {   io.stderr.write(`app-logger: ${error.message}\n${error.usage ? `\n${USAGE}` : ''}`);
+        return error.usage ? 2 : 1;
+    }
+}
+
+module.exports                         =   {   run
+                                           };
@@ -0,0 +1,699 @@
+/**
+ * @fileoverview Configuration loading for the Application Logger Service
+ * @author Daniel S. A. Khan
+ * @copyright Daniel S. A. Khan (c) 2021-2025
+ * @description Loads logger options from JSON config files and APP_LOGGER_* environment variables
+ */
+
+const fs                               =   require('fs');
+const path                             =   require('path');
+const levelDefinitions                 =   require('./levels');
+const { OVERFLOW_POLICIES }            =   require('./buffer');
+
+/**
+ * Prefix of environment variables holding logger options
+ */
+const ENV_PREFIX                       =   'APP_LOGGER_';
+
+/**
+ * Environment variable naming the JSON config file
+ */
+const CONFIG_FILE_ENV                  =   'APP_LOGGER_CONFIG';
+
+/**
+ * Supported output formats
+ */
+const LOG_FORMATS                      =   ['text', 'json'];
+
+/**
+ * Supported timestamp formats
+ */
+const TIMESTAMP_FORMATS                =   ['locale', 'iso', 'epoch'];
+
+/**
+ * Intl.DateTimeFormat options of 'locale' timestamps
+ */
+const DATE_OPTIONS                     =   {   month: '2-digit',
+                                               day: '2-digit',
+                                               year: 'numeric',
+                                               hour: '2-digit',
+                                               minute: '2-digit',
+                                               second: '2-digit'
+                                           };
+
+/**
+ * Supported durability modes: resolve log promises immediately, after the
+ * entry is written, or after it is written and fsynced
+ */
+const DURABILITY_MODES                 =   ['none', 'write', 'fsync'];
+
+/**
+ * Value checks for configuration options. Each check returns a description
+ * of the expected value when the value is invalid, otherwise null.
+ */
+const SCHEMA                           =   {   logTracelevel: (value, levels) => (value in levels ? null : `one of: ${Object.keys(levels).join(', ')}`),
+                                               consoleOutput: value => oneOf(value, ['on', 'off']),
+                                               logPath: value => (isNonEmptyString(value) ? null : 'a non-empty string'),
+                                               dateLocale: value => (isNonEmptyString(value) && isValidIntlOption({ locale: value }) ? null : 'a locale string such as \'de-DE\''),
+                                               fileRotation: value => (typeof value === 'boolean' ? null : 'a boolean'),
+                                               maxFileSize: value => (isPositiveInteger(value) || /^\d+[kmg]?$/i.test(value) ? null : 'a size such as \'20m\', \'500k\', \'1g\' or a number of bytes'),
+                                               maxFiles: value => (isPositiveInteger(value) || /^\d+d?$/.test(value) ? null : 'a file count such as \'10\' or an age such as \'14d\''),
+                                               datePattern: value => (value === null || isDatePattern(value) ? null : 'null or a date pattern without path or reserved characters such as \'YYYY-MM-DD\' or \'YYYY-MM-DD-HH\''),
+                                               zippedArchive: value => (typeof value === 'boolean' ? null : 'a boolean'),
+                                               maxTotalSize: value => (value === null || isPositiveInteger(value) || /^\d+[kmg]?$/i.test(value) ? null : 'null or a size such as \'500m\', \'2g\' or a number of bytes'),
+                                               format: value => oneOf(value, LOG_FORMATS),
+                                               consoleFormat: value => (value === null ? null : oneOf(value, LOG_FORMATS)),
+                                               fileFormat: value => (value === null ? null : oneOf(value, LOG_FORMATS)),
+                                               maxDepth: value => (isPositiveInteger(value) ? null : 'a positive integer'),
+                                               maxArrayLength: value => (isPositiveInteger(value) ? null : 'a positive integer'),
+                                               maxStringLength: value => (isPositiveInteger(value) ? null : 'a positive integer'),
+                                               maxPayloadBytes: value => (isPositiveInteger(value) ? null : 'a positive integer'),
+                                               redact: value => (value === null || isRedactOptions(value) ? null : 'null or an object with paths (string[]), patterns (RegExp[]), censor (string or function) and hash (boolean)'),
+                                               timestampFormat: value => oneOf(value, TIMESTAMP_FORMATS),
+                                               timeZone: value => (value === null || (isNonEmptyString(value) && isValidIntlOption({ timeZone: value })) ? null : 'an IANA time zone such as \'Europe/Berlin\' or null'),
+                                               timestampMilliseconds: value => (typeof value === 'boolean' ? null : 'a boolean'),
+                                               configFile: value => (value === null || isNonEmptyString(value) ? null : 'a file path or null'),
+                                               watchConfig: value => (typeof value === 'boolean' ? null : 'a boolean'),
+                                               durability: value => oneOf(value, DURABILITY_MODES),
+                                               handleExit: value => (typeof value === 'boolean' ? null : 'a boolean'),
+                                               exitTimeout: value => (isPositiveInteger(value) ? null : 'a positive integer (milliseconds)'),
+                                               errorFile: (value, levels) => (typeof value !== 'boolean' ? 'a boolean' : (value && !('error' in levels) ? 'false when the levels have no \'error\' level' : null)),
+                                               outputs: (value, levels) => checkOutputs(value, levels),
+                                               audit: (value, levels) => checkAudit(value, levels),
+                                               throttle: (value, levels) => checkThrottle(value, levels),
+                                               buffer: value => checkBuffer(value),
+                                               transports: value => checkTransports(value),
+                                               formatter: value => (value === null || typeof value === 'function' ? null : 'null or a function (entry, helpers) => string'),
+                                               levels: value => (value === null ? null : levelDefinitions.checkLevels(value)),
+                                               replaceLevels: value => (typeof value === 'boolean' ? null : 'a boolean'),
+                                               strict: value => (typeof value === 'boolean' ? null : 'a boolean')
+                                           };
+
+/**
+ * Options whose values name levels
+ */
+const LEVEL_OPTIONS                    =   ['logTracelevel', 'errorFile', 'outputs', 'audit', 'throttle'];
+
+/**
+ * Value checks for the entries of the outputs option
+ */
+const OUTPUT_SCHEMA                    =   {   filename: value => (isNonEmptyString(value) ? null : 'a non-empty string'),
+                                               levels: (value, levels) => (Array.isArray(value) && value.length > 0 && value.every(level => level in levels) ? null : `a non-empty list of: ${Object.keys(levels).join(', ')}`),
+                                               minLevel: (value, levels) => SCHEMA.logTracelevel(value, levels),
+                                               maxLevel: (value, levels) => SCHEMA.logTracelevel(value, levels),
+                                               rotation: value => SCHEMA.fileRotation(value),
+                                               maxSize: value => SCHEMA.maxFileSize(value),
+                                               maxFiles: value => SCHEMA.maxFiles(value),
+                                               datePattern: value => SCHEMA.datePattern(value),
+                                               zippedArchive: value => SCHEMA.zippedArchive(value),
+                                               maxTotalSize: value => SCHEMA.maxTotalSize(value),
+                                               format: value => SCHEMA.format(value)
+                                           };
+
+/**
+ * Value checks for the fields of the throttle option
+ */
+const THROTTLE_SCHEMA                  =   {   rateLimit: (value, levels) => checkLevelTable(value, levels, true, isRateLimit, '{ limit, interval } (positive integers, interval in milliseconds)'),
+                                               perMessage: value => (typeof value === 'boolean' ? null : 'a boolean'),
+                                               sample: (value, levels) => checkLevelTable(value, levels, false, isPositiveInteger, 'a positive integer n keeping one in n entries'),
+                                               dedupe: value => (value === false || isPositiveInteger(value) ? null : 'false or a positive integer (milliseconds)'),
+                                               exempt: (value, levels) => (Array.isArray(value) && value.every(level => level in levels) ? null : `a list of: ${Object.keys(levels).join(', ')}`)
+                                           };
+
+/**
+ * Value checks for the fields of the buffer option
+ */
+const BUFFER_SCHEMA                    =   {   size: value => (isPositiveInteger(value) ? null : 'a positive integer'),
+                                               interval: value => (isPositiveInteger(value) ? null : 'a positive integer (milliseconds)'),
+                                               maxEntries: value => (isPositiveInteger(value) ? null : 'a positive integer'),
+                                               overflow: value => oneOf(value, OVERFLOW_POLICIES)
+                                           };
+
+/**
+ * Error thrown for invalid logger configuration, listing every problem found
+ */
+class AppLoggerConfigError extends Error
+{   /**
+     * Creates a new configuration error
+     * @param {string[]} problems - Descriptions of all problems found
+     */
+    constructor(problems)
+    {   super(`Invalid logger configuration:\n  - ${problems.join('\n  - ')}`);
+        this.name                      =   'AppLoggerConfigError';
+        this.problems                  =   problems;
+    }
+}
+
+/**
+ * Checks for a non-empty string
+ * @param {*} value - Value to check
+ * @returns {boolean} True for non-empty strings
+ */
+function isNonEmptyString(value)
+{   return typeof value === 'string' && value.length > 0;
+}
+
+
+
+/**
+ * Checks for a positive integer
+ * @param {*} value - Value to check
+ * @returns {boolean} True for positive integers
+ */
+function isPositiveInteger(value)
+{   return Number.isInteger(value) && value > 0;
+}
+
+
+
+/**
+ * Checks a rotation date pattern, which becomes part of file names
+ * @param {*} value - Value to check
+ * @returns {boolean} True for non-empty patterns usable in file names
+ */
+function isDatePattern(value)
+{   return isNonEmptyString(value) && !/["<>|:*?\\/\x00-\x1f]/.test(value);
+}
+
+
+
+/**
+ * Checks a rate limit
+ * @param {*} value - Value to check
+ * @returns {boolean} True for `{ limit, interval }` with positive integers
+ */
+function isRateLimit(value)
+{   return Boolean(value) && typeof value === 'object' && isPositiveInteger(value.limit) && isPositiveInteger(value.interval) && Object.keys(value).length === 2;
+}
+
+
+
+/**
+ * Checks whether Intl accepts a locale or time zone
+ * @param {Object} option - `{ locale }` or `{ timeZone }`
+ * @returns {boolean} True if Intl.DateTimeFormat accepts the option
+ */
+function isValidIntlOption({ locale, timeZone })
+{   try
+    {   new Intl.DateTimeFormat(locale, timeZone ? { timeZone } : {});
+        return true;
+    }
+    catch (error)
+    {   return false;
+    }
+}
+
+
+
+/**
+ * Checks the outputs option, a list of additional level-routed files
+ * @param {*} value - Value to check
+ * @param {Object} levels - Level map the level fields are checked against
+ * @returns {string|null} Expectation when invalid, otherwise null
+ */
+function checkOutputs(value, levels)
+{   const expected                     =   'a list of { filename, levels | minLevel / maxLevel, rotation, maxSize, maxFiles, datePattern, zippedArchive, maxTotalSize, format }';
+    if (!Array.isArray(value))
+    {   return expected;
+    }
+    for (const [index, output] of value.entries())
+    {   const problem                  =   checkOutput(output, `outputs[${index}]`, levels, OUTPUT_SCHEMA);
+        if (problem)
+        {   return `${expected}; ${problem}`;
+        }
+        if (output.filename === undefined)
+        {   return `${expected}; outputs[${index}] has no filename`;
+        }
+    }
+    return null;
+}
+
+
+
+/**
+ * Checks the audit option, an output whose entries are chained with an HMAC
+ * @param {*} value - Value to check
+ * @param {Object} levels - Level map the level fields are checked against
+ * @returns {string|null} Expectation when invalid, otherwise null
+ */
+function checkAudit(value, levels)
+{   const expected                     =   'null or { key, filename, levels | minLevel / maxLevel, rotation, maxSize, maxFiles, datePattern, zippedArchive, maxTotalSize }';
+    const { format, ...fields }        =   OUTPUT_SCHEMA;
+    if (value === null)
+    {   return null;
+    }
+    const problem                      =   checkOutput(value, 'audit', levels, { ...fields, key: key => (isNonEmptyString(key) || (key instanceof Uint8Array && key.length > 0) ? null : 'a non-empty string or Buffer') });
+    if (problem)
+    {   return `${expected}; ${problem}`;
+    }
+    return value.key === undefined ? `${expected}; audit has no key` : null;
+}
+
+
+
+/**
+ * Checks the throttle option, the rate limits, sampling and deduplication
+ * protecting against log floods
+ * @param {*} value - Value to check
+ * @param {Object} levels - Level map the level fields are checked against
+ * @returns {string|null} Expectation when invalid, otherwise null
+ */
+function checkThrottle(value, levels)
+{   const expected                     =   'null or { rateLimit, perMessage, sample, dedupe, exempt }';
+    if (value === null)
+    {   return null;
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value))
+    {   return expected;
+    }
+    for (const [key, field] of Object.entries(value))
+    {   const problem                  =   THROTTLE_SCHEMA[key] ? THROTTLE_SCHEMA[key](field, levels) : 'left out, it is not a throttle setting';
+        if (problem)
+        {   return `${expected}; throttle.${key} must be ${problem}, got ${describe(field)}`;
+        }
+    }
+    return null;
+}
+
+
+
+/**
+ * Checks the transports option, Winston transports or simple transport objects
+ * @param {*} value - Value to check
+ * @returns {string|null} Expectation when invalid, otherwise null
+ */
+function checkTransports(value)
+{   const expected                     =   'a list of Winston transports or { name, write(entry), close() } objects';
+    if (!Array.isArray(value))
+    {   return expected;
+    }
+    const index                        =   value.findIndex(transport => !isTransport(transport));
+    return index === -1 ? null : `${expected}; transports[${index}] is neither`;
+}
+
+
+
+/**
+ * Checks for a Winston transport or a simple transport object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for a Winston transport or `{ name, write, close? }`
+ */
+function isTransport(value)
+{   if (!value || typeof value !== 'object')
+    {   return false;
+    }
+    if (typeof value.log === 'function' && typeof value.on === 'function')
+    {   return true;
+    }
+    return isNonEmptyString(value.name) && typeof value.write === 'function' && (value.close === undefined || typeof value.close === 'function');
+}
+
+
+
+/**
+ * Checks the buffer option, batched writing of queued entries
+ * @param {*} value - Value to check
+ * @returns {string|null} Expectation when invalid, otherwise null
+ */
+function checkBuffer(value)
+{   const expected                     =   'null or { size, interval, maxEntries, overflow }';
+    if (value === null)
+    {   return null;
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value))
+    {   return expected;
+    }
+    for (const [key, field] of Object.entries(value))
+    {   const problem                  =   BUFFER_SCHEMA[key] ? BUFFER_SCHEMA[key](field) : 'left out, it is not a buffer setting';
+        if (problem)
+        {   return `${expected}; buffer.${key} must be ${problem}, got ${describe(field)}`;
+        }
+    }
+    const { size = 100, maxEntries = 10000 }   =   value;
+    return size > maxEntries ? `${expected}; buffer.size must not exceed buffer.maxEntries (${maxEntries})` : null;
+}
+
+
+
+/**
+ * Checks an object of settings by level name
+ * @param {*} value - Value to check
+ * @param {Object} levels - Level map the keys are checked against
+ * @param {boolean} wildcard - Allow '*' for every level not listed
+ * @param {Function} isSetting - Checks the setting of a level
+ * @param {string} setting - Expectation of a setting
+ * @returns {string|null} Expectation when invalid, otherwise null
+ */
+function checkLevelTable(value, levels, wildcard, isSetting, setting)
+{   const names                        =   Object.keys(levels).concat(wildcard ? ['*'] : []);
+    const valid                        =   value && typeof value === 'object' && !Array.isArray(value)
+                                           && Object.entries(value).every(([level, item]) => names.includes(level) && isSetting(item));
+    return valid ? null : `an object mapping ${names.join(', ')} to ${setting}`;
+}
+
+
+
+/**
+ * Checks a single file output against its value checks
+ * @param {*} output - Output settings to check
+ * @param {string} name - Name of the output in problem descriptions
+ * @param {Object} levels - Level map the level fields are checked against
+ * @param {Object} schema - Value checks of the allowed fields
+ * @returns {string|null} Problem description, otherwise null
+ */
+function checkOutput(output, name, levels, schema)
+{   if (!output || typeof output !== 'object' || Array.isArray(output) || Buffer.isBuffer(output))
+    {   return `${name} is not an object`;
+    }
+    if (output.levels !== undefined && (output.minLevel !== undefined || output.maxLevel !== undefined))
+    {   return `${name} combines levels with minLevel / maxLevel`;
+    }
+    for (const [key, field] of Object.entries(output))
+    {   const problem                  =   schema[key] ? schema[key](field, levels) : 'left out, it is not an output setting';
+        if (problem)
+        {   return `${name}.${key} must be ${problem}, got ${describe(field)}`;
+        }
+    }
+    return null;
+}
+
+
+
+/**
+ * Checks the shape of the redact option
+ * @param {*} value - Value to check
+ * @returns {boolean} True for valid redaction options
+ */
+function isRedactOptions(value)
+{   if (!value || typeof value !== 'object' || Array.isArray(value))
+    {   return false;
+    }
+    const { paths = [], patterns = [], censor = '', hash = false, ...unknown }   =   value;
+    return Array.isArray(paths) && paths.every(item => typeof item === 'string')
+        && Array.isArray(patterns) && patterns.every(item => item instanceof RegExp)
+        && ['string', 'function'].includes(typeof censor)
+        && typeof hash === 'boolean'
+        && Object.keys(unknown).length === 0;
+}
+
+
+
+/**
+ * Computes the edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Levenshtein distance
+ */
+function editDistance(a, b)
+{   let previous                       =   Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++)
+    {   const current                  =   [i];
+        for (let j = 1; j <= b.length; j++)
+        {   current[j]                 =   Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous                       =   current;
+    }
+    return previous[b.length];
+}
+
+
+
+/**
+ * Suggests the closest known option for a misspelled key
+ * @param {string} key - Unknown option name
+ * @returns {string|null} Closest known option, or null if none is close
+ */
+function suggestKey(key)
+{   const candidates                   =   Object.keys(SCHEMA).map(name => ({ name, distance: editDistance(key.toLowerCase(), name.toLowerCase()) }));
+    const best                         =   candidates.sort((a, b) => a.distance - b.distance)[0];
+    return best.distance <= Math.max(2, Math.floor(key.length / 3)) ? best.name : null;
+}
+
+
+
+/**
+ * Checks a value against a list of allowed values
+ * @param {*} value - Value to check
+ * @param {Array} allowed - Allowed values
+ * @returns {string|null} Expectation when invalid, otherwise null
+ */
+function oneOf(value, allowed)
+{   return allowed.includes(value) ? null : `one of: ${allowed.join(', ')}`;
+}
+
+
+
+/**
+ * Validates a configuration object, including unknown keys. Options set to
+ * undefined count as unset, e.g. a missing value read from a config store.
+ * @param {Object} config - Options to validate
+ * @param {Object} levels - Level map the level options are checked against
+ * @param {string} [source] - Description of where the options came from
+ * @returns {Array<{key: string, message: string}>} Problems found, empty when valid
+ */
+function validateConfig(config, levels, source = 'options')
+{   const problems                     =   [];
+    for (const [key, value] of Object.entries(config))
+    {   if (value === undefined)
+        {   continue;
+        }
+        if (!SCHEMA[key])
+        {   const suggestion           =   suggestKey(key);
+            problems.push({ key, message: `${source}: unknown option '${key}'${suggestion ? `, did you mean '${suggestion}'?` : ''}` });
+            continue;
+        }
+        const expected                 =   SCHEMA[key](value, levels);
+        if (expected)
+        {   problems.push({ key, message: `${source}: ${key} must be ${expected}, got ${describe(value)}` });
+        }
+    }
+    return problems;
+}
+
+
+
+/**
+ * Resolves the level map that results from layered options, later options
+ * winning. Invalid level definitions are skipped.
+ * @param {...Object} configs - Options, lowest precedence first
+ * @returns {Object} Level priorities by name
+ */
+function levelMap(...configs)
+{   let definitions                    =   null;
+    let replace                        =   false;
+    for (const config of configs)
+    {   if (config.levels !== undefined && !SCHEMA.levels(config.levels))
+        {   definitions                =   config.levels;
+        }
+        if (typeof config.replaceLevels === 'boolean')
+        {   replace                    =   config.replaceLevels;
+        }
+    }
+    return levelDefinitions.resolveLevels(definitions, replace).levels;
+}
+
+
+
+/**
+ * Checks that the effective options naming levels (logTracelevel, errorFile,
+ * outputs) fit the effective level map, which fails when custom levels
+ * replace the levels they name
+ * @param {Object} config - Effective configuration
+ * @param {Object} levels - Effective level map
+ * @param {string} source - Description of where the options came from
+ * @param {Array<{key: string}>} [reported] - Problems already reported, skipped here
+ * @returns {Array<{key: string, message: string}>} Problems found, empty when valid
+ */
+function checkLevelOptions(config, levels, source, reported = [])
+{   const keys                         =   LEVEL_OPTIONS.filter(key => config[key] !== undefined && !reported.some(problem => problem.key === key));
+    return validateConfig(Object.fromEntries(keys.map(key => [key, config[key]])), levels, source);
+}
+
+
+
+/**
+ * Describes a value for an error message
+ * @param {*} value - Offending value
+ * @returns {string} Short description
+ */
+function describe(value)
+{   if (typeof value === 'function')
+    {   return 'a function';
+    }
+    if (value instanceof RegExp)
+    {   return String(value);
+    }
+    try
+    {   return JSON.stringify(value);
+    }
+    catch (error)
+    {   return String(value);
+    }
+}
+
+
+
+/**
+ * Reports configuration problems: throws an AppLoggerConfigError in strict
+ * mode, otherwise emits a single process warning listing them
+ * @param {Array<{key: string, message: string}>} problems - Problems found
+ * @param {boolean} strict - Throw instead of warn
+ * @throws {AppLoggerConfigError} In strict mode when there are problems
+ */
+function reportProblems(problems, strict)
+{   if (problems.length === 0)
+    {   return;
+    }
+    const messages                     =   problems.map(problem => problem.message);
+    if (strict)
+    {   throw new AppLoggerConfigError(messages);
+    }
+    process.emitWarning(`Ignoring invalid logger configuration:\n  - ${messages.join('\n  - ')}`, 'AppLoggerWarning');
+}
+
+
+
+/**
+ * Removes the options that have problems, and those set to undefined, so
+ * their defaults apply
+ * @param {Object} config - Options that were validated
+ * @param {Array<{key: string, message: string}>} problems - Problems found
+ * @returns {Object} The options without the offending or unset keys
+ */
+function omitInvalid(config, problems)
+{   const invalid                      =   new Set(problems.map(problem => problem.key));
+    return Object.fromEntries(Object.entries(config).filter(([key, value]) => value !== undefined && !invalid.has(key)));
+}
+
+
+
+/**
+ * Converts an option name to its environment variable, e.g.
+ * logTracelevel -> APP_LOGGER_LOG_TRACELEVEL
+ * @param {string} key - Option name
+ * @returns {string} Environment variable name
+ */
+function toEnvName(key)
+{   return `${ENV_PREFIX}${key.replace(/([A-Z])/g, '_$1').toUpperCase()}`;
+}
+
+
+
+/**
+ * Converts an environment variable string to the type of the option's default
+ * @param {string} raw - Environment variable value
+ * @param {*} defaultValue - Default value of the option
+ * @returns {*} Converted value
+ */
+function parseEnvValue(raw, defaultValue)
+{   if (raw === 'null')
+    {   return null;
+    }
+    if (typeof defaultValue === 'boolean')
+    {   return raw === 'true' ? true : raw === 'false' ? false : raw;
+    }
+    if (typeof defaultValue === 'number')
+    {   return /^-?\d+(\.\d+)?$/.test(raw) ? Number(raw) : raw;
+    }
+    if (raw.startsWith('{') || raw.startsWith('['))
+    {   try
+        {   return JSON.parse(raw);
+        }
+        catch (error)
+        {   return raw;
+        }
+    }
+    return raw;
+}
+
+
+
+/**
+ * Reads logger options from APP_LOGGER_* environment variables
+ * @param {Object} defaults - Default configuration, defines the known options
+ * @param {Object} [env] - Environment to read
+ * @returns {Object} Options found in the environment
+ */
+function readEnvConfig(defaults, env = process.env)
+{   const config                       =   {};
+    for (const key of Object.keys(defaults))
+    {   const name                     =   toEnvName(key);
+        if (env[name] !== undefined)
+        {   config[key]                =   parseEnvValue(env[name], defaults[key]);
+        }
+    }
+    return config;
+}
+
+
+
+/**
+ * Reads logger options from a JSON config file
+ * @param {string} file - Path of the JSON config file
+ * @returns {Object} Options in the file
+ * @throws {AppLoggerConfigError} If the file cannot be read or is not a JSON object
+ */
+function readConfigFile(file)
+{   let config;
+    try
+    {   config                         =   JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+    catch (error)
+    {   throw new AppLoggerConfigError([`Cannot load logger config file ${path.resolve(file)}: ${error.message}`]);
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config))
+    {   throw new AppLoggerConfigError([`Cannot load logger config file ${path.resolve(file)}: expected a JSON object`]);
+    }
+    return config;
+}
+
+
+
+/**
+ * Resolves the effective configuration. Precedence, lowest first:
+ * defaults, config file (`configFile` option or APP_LOGGER_CONFIG),
+ * constructor options, APP_LOGGER_* environment variables. Every source is
+ * validated and all problems are reported at once (see reportProblems).
+ * Level options are checked against the levels the sources define.
+ * @param {Object} defaults - Default configuration
+ * @param {Object} options - Constructor options
+ * @param {Object} [env] - Environment to read
+ * @returns {Object} Effective configuration
+ * @throws {AppLoggerConfigError} In strict mode when any source is invalid
+ */
+function resolveConfig(defaults, options, env = process.env)
+{   const envConfig                    =   readEnvConfig(defaults, env);
+    const configFile                   =   envConfig.configFile || options.configFile || env[CONFIG_FILE_ENV] || null;
+    const fileConfig                   =   configFile ? readConfigFile(configFile) : {};
+    const levels                       =   levelMap(fileConfig, options, envConfig);
+    const sources                      =   [   { config: fileConfig, problems: validateConfig(fileConfig, levels, path.resolve(configFile || '.')) },
+                                               { config: options, problems: validateConfig(options, levels, 'options') },
+                                               { config: envConfig, problems: validateConfig(envConfig, levels, 'environment variables') }
+                                           ];
+    const merged                       =   Object.assign({ ...defaults }, ...[fileConfig, options, envConfig].map(source => omitInvalid(source, [])));
+    const problems                     =   sources.reduce((all, source) => all.concat(source.problems), []);
+    const config                       =   Object.assign({ ...defaults }, ...sources.map(source => omitInvalid(source.config, source.problems)), { configFile });
+    const levelProblems                =   checkLevelOptions(config, levels, 'options', problems);
+
+    reportProblems(problems.concat(levelProblems), merged.strict !== false);
+    for (const { key } of levelProblems)
+    {   // A missing threshold falls back to the most verbose level rather than losing entries
+        config[key]                    =   key === 'logTracelevel' ? Object.keys(levels).sort((a, b) => levels[b] - levels[a])[0] : defaults[key];
+    }
+    return config;
+}
+
+module.exports                         =   {   LOG_FORMATS,
+                                               TIMESTAMP_FORMATS,
+                                               DATE_OPTIONS,
+                                               DURABILITY_MODES,
+                                               AppLoggerConfigError,
+                                               validateConfig,
+                                               levelMap,
+                                               checkLevelOptions,
+                                               reportProblems,
+                                               omitInvalid,
+                                               readConfigFile,
+                                               resolveConfig,
+                                               toEnvName
+                                           };
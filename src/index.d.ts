@@ -2,54 +2,37 @@
  * Application Logger TypeScript Definitions
  */
 
-export interface LoggerConfig {
-  /** Log trace level */
-  logTracelevel?: 'exception' | 'error' | 'warn' | 'info' | 'http' | 'trace' | 'debug';
-  /** Console output setting */
-  consoleOutput?: 'on' | 'off';
-  /** Log file path */
-  logPath?: string;
-  /** Date locale for formatting */
-  dateLocale?: string;
-  /** Enable file rotation */
-  fileRotation?: boolean;
-  /** Maximum file size for rotation */
-  maxFileSize?: string;
-  /** Maximum files to keep */
-  maxFiles?: string;
-}
-
-export interface LoggingLevels {
-  levels: {
-    exception: number;
-    error: number;
-    warn: number;
-    info: number;
-    http: number;
-    trace: number;
-    debug: number;
-  };
-  colors: {
-    exception: string;
-    error: string;
-    warn: string;
-    info: string;
-    http: string;
-    trace: string;
-    debug: string;
-  };
-}
-
 /**
- * Application Logger Service Class
+ * Application Logger Service instance. `L` names the custom levels added
+ * with the `levels` option, each of which also gets a logging method.
  */
-export declare class AppLogger {
+interface AppLogger<L extends string = never> {
+  /** The route/module name for the logger */
+  readonly route: string;
+
+  /** Context fields bound to every entry */
+  readonly context: Record<string, any>;
+
+  /** Level override of a derived logger, inherits from its parent when null */
+  level: AppLogger.LogLevel | L | null;
+
+  /**
+   * Get the level threshold in effect for this logger
+   */
+  getLevel(): AppLogger.LogLevel | L;
+
   /**
-   * Creates a new logger instance
-   * @param route The route/module name for the logger
-   * @param config Configuration options
+   * Check whether entries of a level are written by this logger
+   * @param level Log level
    */
-  constructor(route: string, config?: LoggerConfig);
+  isLevelEnabled(level: AppLogger.LogLevel | L): boolean;
+
+  /**
+   * Create a child logger that shares this logger's transports and
+   * binds the given context fields to every entry
+   * @param fields Context fields to bind
+   */
+  child(fields?: Record<string, any>): this;
 
   /**
    * Generic logging method
@@ -57,7 +40,7 @@ export declare class AppLogger {
    * @param message Log message
    * @param obj Optional object to log
    */
-  genLog(level: string, message: string, obj?: any): Promise<void>;
+  genLog(level: AppLogger.LogLevel | L, message: string, obj?: any): Promise<void>;
 
   /**
    * Log an info message
@@ -109,20 +92,535 @@ export declare class AppLogger {
   http(message: string, obj?: any): Promise<void>;
 
   /**
-   * Close the logger and cleanup resources
+   * Wait until every entry logged so far is written to the log files
+   */
+  flush(): Promise<void>;
+
+  /**
+   * Read entries back from the main log file, including rotated and gzipped files
+   * @param options Filters and the number of most recent entries to return
+   * @returns Matching entries, oldest first
+   */
+  query(options?: AppLogger.QueryOptions<AppLogger.LogLevel | L>): Promise<Array<AppLogger.LogEntry<AppLogger.LogLevel | L>>>;
+
+  /**
+   * Read the most recent entries and, with `follow`, the entries appended after them
+   * @param options Number of recent entries, following and the filters of query
+   */
+  tail(options?: AppLogger.TailOptions<AppLogger.LogLevel | L>): AsyncGenerator<AppLogger.LogEntry<AppLogger.LogLevel | L>, void, undefined>;
+
+  /**
+   * Close the logger and cleanup resources; entries logged afterwards are dropped
    */
   close(): Promise<void>;
 
+  /**
+   * Add a transport that receives every entry, kept across reconfiguration and closed by close()
+   * @param transport Winston transport or `{ name, write(entry), close() }` object
+   * @throws {AppLogger.AppLoggerConfigError} If the transport is neither
+   */
+  addTransport(transport: AppLogger.CustomTransport<AppLogger.LogLevel | L>): this;
+
+  /**
+   * Remove a custom transport once the entries logged so far are handed to it, and close it
+   * @param transport Transport as added, or its name
+   * @returns Whether the transport was found
+   */
+  removeTransport(transport: AppLogger.CustomTransport<AppLogger.LogLevel | L> | string): Promise<boolean>;
+
   /**
    * Get current configuration
    */
-  getConfig(): LoggerConfig;
+  getConfig(): Required<AppLogger.LoggerConfig<L>>;
 
   /**
-   * Update configuration
+   * Update configuration. Level, redaction, throttle, buffer, transports and limit changes apply in place,
+   * other changes drain and close the current transports before opening new ones
    * @param newConfig New configuration options
+   * @returns Resolves when the new configuration is in effect
+   */
+  updateConfig(newConfig: Partial<AppLogger.LoggerConfig<L>>): Promise<void>;
+
+  /**
+   * Listen for configuration changes applied by updateConfig, file
+   * rotations, completed gzip archives and entries a full buffer dropped
+   * by the logger owning the transports; child and registry loggers add
+   * their listeners to it
+   * @param event Event name
+   * @param listener Receives the event details
    */
-  updateConfig(newConfig: Partial<LoggerConfig>): void;
+  on(event: 'reconfigured', listener: (info: AppLogger.ReconfiguredEvent) => void): this;
+  on(event: 'rotate', listener: (info: AppLogger.RotateEvent) => void): this;
+  on(event: 'archive', listener: (info: AppLogger.ArchiveEvent) => void): this;
+  on(event: 'overflow', listener: (info: AppLogger.OverflowEvent) => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
+
+  /**
+   * Listen once for an event
+   * @param event Event name
+   * @param listener Event listener
+   */
+  once(event: 'reconfigured', listener: (info: AppLogger.ReconfiguredEvent) => void): this;
+  once(event: 'rotate', listener: (info: AppLogger.RotateEvent) => void): this;
+  once(event: 'archive', listener: (info: AppLogger.ArchiveEvent) => void): this;
+  once(event: 'overflow', listener: (info: AppLogger.OverflowEvent) => void): this;
+  once(event: string | symbol, listener: (...args: any[]) => void): this;
+
+  /**
+   * Remove an event listener
+   * @param event Event name
+   * @param listener Event listener
+   */
+  off(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+/**
+ * Application Logger Service Class
+ */
+declare const AppLogger: AppLogger.AppLoggerConstructor;
+
+declare namespace AppLogger {
+  /** Built-in log levels, in order of priority */
+  export type LogLevel = 'exception' | 'error' | 'warn' | 'info' | 'http' | 'trace' | 'debug';
+
+  export type LogFormat = 'text' | 'json';
+
+  /** Logging methods generated for custom levels */
+  export type LevelMethods<L extends string> = { [K in L]: (message: string, obj?: any) => Promise<void> };
+
+  /** Keeps a level type parameter from being inferred from the level argument itself */
+  export type NoInferLevel<L> = [L][L extends any ? 0 : never];
+
+  /** Priority (0 is most severe) and console color of a custom level */
+  export interface LevelDefinition {
+    /** Priority, lower values are more severe; levels may share a priority */
+    priority: number;
+    /** Console color(s), e.g. 'magenta' or 'bold red' */
+    color?: string;
+  }
+
+  export interface LoggerConfig<L extends string = never> {
+    /** Log trace level */
+    logTracelevel?: LogLevel | NoInferLevel<L>;
+    /** Also write exception and error entries to `${route}.error.log` */
+    errorFile?: boolean;
+    /** Additional files that receive a range or set of levels */
+    outputs?: Array<FileOutput<LogLevel | NoInferLevel<L>>>;
+    /** Tamper-evident JSON audit file whose entries are chained with an HMAC */
+    audit?: AuditOutput<LogLevel | NoInferLevel<L>> | null;
+    /** Rate limits, sampling and deduplication against log floods, off when null */
+    throttle?: ThrottleOptions<LogLevel | NoInferLevel<L>> | null;
+    /** Queue entries and write them in batches, off when null */
+    buffer?: BufferOptions | null;
+    /** Transports that receive every entry besides the console and files */
+    transports?: Array<CustomTransport<LogLevel | NoInferLevel<L>>>;
+    /** Replaces the built-in text line layout, of custom transports too */
+    formatter?: ((entry: FormatterEntry, helpers: FormatterHelpers) => string) | null;
+    /** Custom levels, as definitions or bare priorities; extend the built-in levels unless replaceLevels is set */
+    levels?: { [K in L]: LevelDefinition | number } | null;
+    /** Replace the built-in levels with `levels` instead of extending them */
+    replaceLevels?: boolean;
+    /** Console output setting */
+    consoleOutput?: 'on' | 'off';
+    /** Log file path */
+    logPath?: string;
+    /** Date locale for formatting */
+    dateLocale?: string;
+    /** Enable file rotation */
+    fileRotation?: boolean;
+    /** Maximum file size for rotation, such as '20m' or a number of bytes */
+    maxFileSize?: string | number;
+    /** Maximum files to keep, a count or an age such as '14d' */
+    maxFiles?: string | number;
+    /** Date pattern of rotated file names, a new file starts when its value changes; null rotates by size only */
+    datePattern?: string | null;
+    /** Gzip rotated files */
+    zippedArchive?: boolean;
+    /** Maximum size of all rotated files together, oldest files are removed first */
+    maxTotalSize?: string | number | null;
+    /** Default output format for all transports */
+    format?: LogFormat;
+    /** Output format for the console transport (defaults to `format`) */
+    consoleFormat?: LogFormat | null;
+    /** Output format for the file transport (defaults to `format`) */
+    fileFormat?: LogFormat | null;
+    /** Maximum nesting depth of logged payloads */
+    maxDepth?: number;
+    /** Maximum number of array, Set or Buffer items logged */
+    maxArrayLength?: number;
+    /** Maximum length of logged strings */
+    maxStringLength?: number;
+    /** Maximum size of a serialized payload in bytes */
+    maxPayloadBytes?: number;
+    /** Sensitive field redaction, off when null */
+    redact?: RedactOptions | null;
+    /** Timestamp format: locale string, ISO-8601 UTC or epoch milliseconds */
+    timestampFormat?: TimestampFormat;
+    /** IANA time zone for locale timestamps, e.g. 'Europe/Berlin' */
+    timeZone?: string | null;
+    /** Add millisecond precision to locale timestamps */
+    timestampMilliseconds?: boolean;
+    /** JSON config file to load options from (also APP_LOGGER_CONFIG) */
+    configFile?: string | null;
+    /** Poll the config file and apply logTracelevel changes without a restart */
+    watchConfig?: boolean;
+    /** When log promises resolve: when queued, written or written and fsynced */
+    durability?: Durability;
+    /** Log signals, uncaught exceptions and unhandled rejections, then flush, close all loggers and exit */
+    handleExit?: boolean;
+    /** Milliseconds handleExit waits for loggers to close before exiting anyway */
+    exitTimeout?: number;
+    /** Throw AppLoggerConfigError on invalid options; when false, warn and use defaults */
+    strict?: boolean;
+  }
+
+  /** Level-routed file output */
+  export interface FileOutput<Level extends string = LogLevel> {
+    /** File name in logPath, `{route}` is replaced with the route */
+    filename: string;
+    /** Explicit set of levels written, instead of minLevel / maxLevel */
+    levels?: Level[];
+    /** Least severe level written, defaults to all */
+    minLevel?: Level;
+    /** Most severe level written, defaults to all */
+    maxLevel?: Level;
+    /** Rotate the file daily and by size, defaults to fileRotation */
+    rotation?: boolean;
+    /** Maximum file size before rotation, defaults to maxFileSize */
+    maxSize?: string | number;
+    /** Rotated files to keep, defaults to maxFiles */
+    maxFiles?: string | number;
+    /** Date pattern of rotated file names, defaults to datePattern */
+    datePattern?: string | null;
+    /** Gzip rotated files, defaults to zippedArchive */
+    zippedArchive?: boolean;
+    /** Maximum size of all rotated files together, defaults to maxTotalSize */
+    maxTotalSize?: string | number | null;
+    /** Output format, defaults to fileFormat / format */
+    format?: LogFormat;
+  }
+
+  /** Audit file output, always written as JSON */
+  export interface AuditOutput<Level extends string = LogLevel> extends Omit<FileOutput<Level>, 'filename' | 'format'> {
+    /** HMAC key chaining the entries */
+    key: string | Uint8Array;
+    /** File name in logPath, defaults to `{route}.audit.log` */
+    filename?: string;
+  }
+
+  /** Token bucket: at most `limit` entries at once, refilled at `limit` per `interval` */
+  export interface RateLimit {
+    /** Entries allowed at once and per interval */
+    limit: number;
+    /** Interval in milliseconds */
+    interval: number;
+  }
+
+  /** Flood protection; entries left out are summarized when their window ends */
+  export interface ThrottleOptions<Level extends string = LogLevel> {
+    /** Rate limits by level, `'*'` for every level not listed */
+    rateLimit?: { [K in Level | '*']?: RateLimit };
+    /** One bucket per level and message instead of per level, defaults to true */
+    perMessage?: boolean;
+    /** Keep one in n entries of a level, e.g. `{ debug: 10 }` */
+    sample?: { [K in Level]?: number };
+    /** Milliseconds repeats of an entry are collapsed into one summary, off when false */
+    dedupe?: number | false;
+    /** Levels never throttled, defaults to `['exception']` */
+    exempt?: Level[];
+  }
+
+  /** What a full buffer does with another entry */
+  export type OverflowPolicy = 'dropOldest' | 'dropNewest' | 'block';
+
+  /** Batched writing; entries keep the timestamp and payload of the call */
+  export interface BufferOptions {
+    /** Entries that start a batch, defaults to 100 */
+    size?: number;
+    /** Milliseconds an entry waits at most, defaults to 1000 */
+    interval?: number;
+    /** Entries held at most, defaults to 10000 */
+    maxEntries?: number;
+    /** Defaults to 'dropOldest'; 'block' makes the caller's promise wait for the next batch, for up to maxEntries waiting entries */
+    overflow?: OverflowPolicy;
+  }
+
+  /** Simple transport; a promise returned by write or close is awaited by flush, durability and close */
+  export interface TransportObject<Level extends string = LogLevel> {
+    name: string;
+    write(entry: TransportEntry<Level>): void | Promise<void>;
+    close?(): void | Promise<void>;
+  }
+
+  /** Any Winston transport, e.g. an instance of a winston.Transport subclass */
+  export interface WinstonTransport {
+    log(info: any, callback: () => void): any;
+    on(event: string, listener: (...args: any[]) => void): any;
+    name?: string;
+  }
+
+  export type CustomTransport<Level extends string = LogLevel> = TransportObject<Level> | WinstonTransport;
+
+  /** Entry handed to a transport object */
+  export interface TransportEntry<Level extends string = LogLevel> extends LogEntry<Level> {
+    timestamp: Date;
+    /** Line as the logger's format renders it */
+    line: string;
+  }
+
+  /** Entry handed to the formatter */
+  export interface FormatterEntry extends LogEntry<string> {
+    timestamp: Date;
+  }
+
+  /** Second argument of the formatter */
+  export interface FormatterHelpers {
+    /** Formats a time like the built-in layout, following timestampFormat and timeZone */
+    formatTimestamp(time: Date | number): string;
+    /** Route of the logger owning the transports */
+    ownerRoute: string;
+  }
+
+  /** Filters of query and tail */
+  export interface QueryOptions<Level extends string = LogLevel> {
+    /** Earliest timestamp */
+    from?: Date | string | number;
+    /** Latest timestamp */
+    to?: Date | string | number;
+    /** A level and everything more severe, or a list of levels */
+    level?: Level | Level[];
+    /** Route, or a pattern routes must match */
+    route?: string | RegExp;
+    /** Case-insensitive text, or a pattern, found in the message or data */
+    text?: string | RegExp;
+    /** Return only the most recent matching entries */
+    limit?: number;
+  }
+
+  export interface TailOptions<Level extends string = LogLevel> extends Omit<QueryOptions<Level>, 'limit'> {
+    /** Recent entries to start with, defaults to 10 */
+    lines?: number;
+    /** Keep waiting for new entries until the logger is closed or the signal aborts */
+    follow?: boolean;
+    /** Milliseconds between checks for new entries, defaults to 250 */
+    interval?: number;
+    /** Ends following */
+    signal?: AbortSignal;
+  }
+
+  /** Entry read back from a log file */
+  export interface LogEntry<Level extends string = LogLevel> {
+    /** Time of the entry, null when the timestamp cannot be read */
+    timestamp: Date | null;
+    level: Level;
+    route: string;
+    message: string;
+    /** Bound context fields */
+    context?: Record<string, any>;
+    /** Logged object */
+    data?: any;
+    /** Error stack rendered below text entries */
+    stack?: string;
+    /** Sequence number of audit entries */
+    seq?: number;
+  }
+
+  /** Result of AppLogger.verifyAuditLog */
+  export interface AuditVerification {
+    /** Whether every entry is intact and none is missing */
+    valid: boolean;
+    /** Number of entries verified before the first problem */
+    entries: number;
+    /** Sequence number of the oldest entry found, above 1 only with allowPruned when old files were removed */
+    firstSeq: number | null;
+    /** Sequence number of the last intact entry */
+    lastSeq: number | null;
+    /** Files of the chain, oldest first */
+    files: string[];
+    /** First changed, malformed or missing entry */
+    broken: { file: string; line: number; seq: number | null; reason: string } | null;
+  }
+
+  /** Error thrown for invalid configuration, listing every problem found */
+  export interface AppLoggerConfigError extends Error {
+    /** Descriptions of all problems found */
+    readonly problems: string[];
+  }
+
+  export interface AppLoggerConfigErrorConstructor {
+    new (problems: string[]): AppLoggerConfigError;
+    readonly prototype: AppLoggerConfigError;
+  }
+
+  export type TimestampFormat = 'locale' | 'iso' | 'epoch';
+
+  export type Durability = 'none' | 'write' | 'fsync';
+
+  export interface RegistryConfig extends LoggerConfig {
+    /** Route of the shared transports (log file name), defaults to 'app' */
+    name?: string;
+    /** Per-route overrides keyed by route; overrides beyond the level get dedicated transports */
+    routes?: Record<string, Partial<LoggerConfig>>;
+  }
+
+  export interface RedactOptions {
+    /** Key names (matched at any depth) or dotted paths from the root, `*` matches any single key */
+    paths?: string[];
+    /** Patterns censored inside string values */
+    patterns?: RegExp[];
+    /** Replacement string, or a function returning the replacement */
+    censor?: string | ((value: any, path: string) => any);
+    /** Replace values with a SHA-256 digest prefix instead of the censor */
+    hash?: boolean;
+  }
+
+  export interface ReconfiguredEvent {
+    /** Names of the options that changed */
+    changed: string[];
+    /** Whether the transports were closed and reopened */
+    transportsReplaced: boolean;
+  }
+
+  export interface RotateEvent {
+    /** Route of the logger owning the file */
+    route: string;
+    /** File that was completed */
+    oldFile: string;
+    /** File now being written */
+    newFile: string;
+  }
+
+  export interface ArchiveEvent {
+    /** Route of the logger owning the file */
+    route: string;
+    /** Gzipped file that replaced a rotated file */
+    file: string;
+  }
+
+  export interface OverflowEvent {
+    /** Route of the logger */
+    route: string;
+    /** Entries dropped since the last batch */
+    dropped: number;
+    /** Policy that dropped them */
+    policy: OverflowPolicy;
+  }
+
+  export interface MiddlewareOptions {
+    /** Paths, regular expressions or a predicate for requests that are not logged */
+    skip?: Array<string | RegExp> | ((req: any, res: any) => boolean);
+    /** Propagate the request ID header, generating one when missing */
+    requestId?: boolean;
+    /** Name of the request ID header */
+    requestIdHeader?: string;
+  }
+
+  /** Express/Connect compatible request logging middleware */
+  export type RequestLoggingMiddleware = (req: any, res: any, next?: (err?: any) => void) => void;
+
+  /** Constructor and static members of AppLogger */
+  export interface AppLoggerConstructor {
+    /**
+     * Creates a new logger instance
+     * @param route The route/module name for the logger
+     * @param config Configuration options
+     */
+    new <L extends string = never>(route: string, config?: LoggerConfig<L>): AppLogger<L> & LevelMethods<L>;
+
+    readonly prototype: AppLogger;
+
+    /** Error class thrown for invalid configuration */
+    readonly AppLoggerConfigError: AppLoggerConfigErrorConstructor;
+
+    /**
+     * Run a function with context fields merged into every entry logged
+     * during its (async) execution
+     * @param context Context fields
+     * @param fn Function to run
+     */
+    runWithContext<T>(context: Record<string, any>, fn: () => T): T;
+
+    /**
+     * Add fields to the active async context
+     * @param fields Context fields to set
+     */
+    setContext(fields: Record<string, any>): void;
+
+    /**
+     * Create an HTTP request logging middleware for Express, Connect or
+     * bare `http.createServer` handlers
+     * @param logger Logger that receives the entries
+     * @param options Middleware options
+     */
+    middleware(logger: AppLogger<string>, options?: MiddlewareOptions): RequestLoggingMiddleware;
+
+    /**
+     * Set the global configuration used by AppLogger.get. Must be called
+     * before the first AppLogger.get (or after AppLogger.closeAll).
+     * @param config Logger configuration shared by all routes
+     */
+    configure(config?: RegistryConfig): void;
+
+    /**
+     * Get the cached logger for a route, creating it on first use
+     * @param route The route/module name for the logger
+     * @param overrides Per-route overrides, applied on first use only
+     */
+    get(route: string, overrides?: Partial<LoggerConfig>): AppLogger;
+
+    /**
+     * Set the level of all loggers whose route matches a pattern, taking
+     * effect immediately on live loggers
+     * @param pattern Route pattern, `*` matches any characters
+     * @param level Log level, or null to remove the rule; pass custom levels as type argument
+     */
+    setLevel<L extends string = never>(pattern: string, level: LogLevel | NoInferLevel<L> | null): void;
+
+    /**
+     * Replace all route level rules with a DEBUG-style pattern list
+     * @param spec Patterns such as `*=info,sensor:*=debug,http=warn`
+     */
+    setLevels(spec: string): void;
+
+    /**
+     * Flush and close all open loggers and reset the registry
+     */
+    closeAll(): Promise<void>;
+
+    /**
+     * Verify the hash chain of an audit log, including its rotated and gzipped files
+     * @param file Audit file as configured, e.g. './logs/api.audit.log'
+     * @param key Key the audit entries were written with
+     * @param options `allowPruned` accepts a chain whose oldest files retention removed
+     */
+    verifyAuditLog(file: string, key: string | Uint8Array, options?: { allowPruned?: boolean }): Promise<AuditVerification>;
+
+    /**
+     * Get the active async context
+     */
+    getContext(): Record<string, any>;
+  }
+
+  export interface LoggingLevels {
+    levels: {
+      exception: number;
+      error: number;
+      warn: number;
+      info: number;
+      http: number;
+      trace: number;
+      debug: number;
+    };
+    colors: {
+      exception: string;
+      error: string;
+      warn: string;
+      info: string;
+      http: string;
+      trace: string;
+      debug: string;
+    };
+  }
 }
 
-export default AppLogger;
+export = AppLogger;
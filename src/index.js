@@ -10,7 +10,37 @@ const winston                          =   require('winston');
 require('winston-daily-rotate-file');
 
 const path                             =   require('path');
+const os                               =   require('os');
+const { EventEmitter }                 =   require('events');
 const fs                               =   require('fs');
+const crypto                           =   require('crypto');
+const { AsyncLocalStorage }            =   require('async_hooks');
+const serializer                       =   require('./serializer');
+const { createRedactor }               =   require('./redactor');
+const { createThrottle }               =   require('./throttle');
+const { createBuffer }                 =   require('./buffer');
+const configLoader                     =   require('./config');
+const levelDefinitions                 =   require('./levels');
+const audit                            =   require('./audit');
+const reader                           =   require('./reader');
+
+/**
+ * Async context storage shared by all logger instances
+ */
+const contextStorage                   =   new AsyncLocalStorage();
+
+/**
+ * Logger registry used by AppLogger.configure / AppLogger.get
+ */
+const registry                         =   {   settings: { name: 'app', routes: {}, loggerConfig: {} },
+                                               shared: null,
+                                               loggers: new Map()
+                                           };
+
+/**
+ * All open logger instances that own transports, closed by AppLogger.closeAll
+ */
+const instances                        =   new Set();
 
 /**
  * Default logging configuration
@@ -21,67 +51,1044 @@ const DEFAULT_CONFIG                  =    {   logTracelevel: 'info',
                                                dateLocale: 'de-DE',
                                                fileRotation: false,
                                                maxFileSize: '20m',
-                                               maxFiles: '14d'
+                                               maxFiles: '14d',
+                                               datePattern: 'YYYY-MM-DD',
+                                               zippedArchive: false,
+                                               maxTotalSize: null,
+                                               format: 'text',
+                                               consoleFormat: null,
+                                               fileFormat: null,
+                                               maxDepth: serializer.DEFAULT_LIMITS.maxDepth,
+                                               maxArrayLength: serializer.DEFAULT_LIMITS.maxArrayLength,
+                                               maxStringLength: serializer.DEFAULT_LIMITS.maxStringLength,
+                                               maxPayloadBytes: serializer.DEFAULT_LIMITS.maxPayloadBytes,
+                                               redact: null,
+                                               timestampFormat: 'locale',
+                                               timeZone: null,
+                                               timestampMilliseconds: false,
+                                               configFile: null,
+                                               watchConfig: false,
+                                               durability: 'none',
+                                               handleExit: false,
+                                               exitTimeout: 5000,
+                                               errorFile: false,
+                                               outputs: [],
+                                               audit: null,
+                                               throttle: null,
+                                               buffer: null,
+                                               transports: [],
+                                               formatter: null,
+                                               levels: null,
+                                               replaceLevels: false,
+                                               strict: true
+                                           };
+
+/**
+ * Interval in milliseconds at which a watched config file is polled
+ */
+const CONFIG_WATCH_INTERVAL           =   1000;
+
+/**
+ * Options that updateConfig applies to the running logger without replacing
+ * its transports, since they are only read when an entry is logged
+ */
+const IN_PLACE_OPTIONS                =   ['logTracelevel', 'redact', 'throttle', 'buffer', 'transports', 'maxDepth', 'maxArrayLength', 'maxStringLength', 'maxPayloadBytes', 'strict', 'configFile', 'watchConfig', 'durability', 'handleExit', 'exitTimeout'];
+
+/**
+ * Supported timestamp formats
+ */
+const TIMESTAMP_FORMATS               =   configLoader.TIMESTAMP_FORMATS;
+
+/**
+ * Supported output formats
+ */
+const LOG_FORMATS                     =   configLoader.LOG_FORMATS;
+
+/**
+ * Signals that shut the process down when handleExit is on
+ */
+const EXIT_SIGNALS                    =   ['SIGINT', 'SIGTERM'];
+
+/**
+ * Process listeners installed for handleExit, null while none are installed
+ */
+let exitListeners                     =   null;
+
+/**
+ * Set while a handleExit shutdown is in progress
+ */
+let shuttingDown                      =   false;
+
+/**
+ * Key of the formatted output line on Winston info objects (triple-beam MESSAGE)
+ */
+const MESSAGE                         =   Symbol.for('message');
+
+/**
+ * Tags entries whose persistence is awaited with their sequence number
+ */
+const ENTRY_ID                        =   Symbol('appLoggerEntryId');
+
+/**
+ * Milliseconds an awaited entry waits for its transport before the write counts as failed
+ */
+const LOGGED_TIMEOUT                  =   10000;
+
+/**
+ * Milliseconds between checks of queued entries when no transport reports progress
+ */
+const DRAIN_POLL_INTERVAL             =   10;
+
+/**
+ * Transport events that show queued entries are moving
+ */
+const PROGRESS_EVENTS                 =   ['logged', 'drain', 'streamError'];
+
+/**
+ * EventEmitter methods a derived logger hands to its parent, which emits
+ * the events of the transports and configuration they share
+ */
+const LISTENER_METHODS                =   ['on', 'addListener', 'once', 'prependListener', 'prependOnceListener', 'off', 'removeListener'];
+
+/**
+ * Entries waiting for a transport's 'logged' event, by transport
+ */
+const loggedWaiters                   =   new WeakMap();
+
+/**
+ * Error of a transport whose file stream failed, by transport
+ */
+const failedTransports                =   new WeakMap();
+
+/**
+ * Promise settling once a file transport has opened its file, shared by everyone waiting for it, by transport
+ */
+const openSignals                     =   new WeakMap();
+
+/**
+ * Promise of the next progress of a transport, shared by everyone waiting for it, by transport
+ */
+const progressSignals                 =   new WeakMap();
+
+/**
+ * Last file descriptor opened by a rotating file transport, by transport
+ */
+const rotatingDescriptors             =   new WeakMap();
+
+/**
+ * Level filter of a file output that only takes some levels, by transport
+ */
+const transportFilters                =   new WeakMap();
+
+/**
+ * Promise settling once a transport that is being closed has written and
+ * closed its file, by transport
+ */
+const closingTransports               =   new WeakMap();
+
+/**
+ * Latest pending removal of rotated files over the total size cap, by transport
+ */
+const retentionTasks                  =   new WeakMap();
+
+/**
+ * Transport of the main log file, read back by query and tail, by Winston logger
+ */
+const mainTransports                  =   new WeakMap();
+
+/**
+ * Winston transport wrapping a `{ name, write, close }` transport object, by object
+ */
+const entryTransports                 =   new WeakMap();
+
+/**
+ * Sequence number of the last entry whose persistence was awaited
+ */
+let entrySequence                     =   0;
+
+/**
+ * Default HTTP middleware options
+ */
+const DEFAULT_MIDDLEWARE_OPTIONS      =   {   skip: [],
+                                              requestId: false,
+                                              requestIdHeader: 'x-request-id'
+                                          };
+
+/**
+ * Date formatting options
+ */
+const DATE_OPTIONS                    =   configLoader.DATE_OPTIONS;
+
+/**
+ * Built-in logging levels, custom levels are added per logger with the levels option
+ */
+const LOGGING_LEVELS                  =   levelDefinitions.DEFAULT_LEVELS;
+
+/**
+ * Route level rules from APP_LOG_LEVEL and AppLogger.setLevel, later rules win
+ */
+const levelRules                      =   {   rules: null,
+                                              cache: new Map()
+                                          };
+
+/**
+ * Names of the level methods generated on a logger, by logger
+ */
+const levelMethods                    =   new WeakMap();
+
+/**
+ * Compiles a route pattern where `*` matches any sequence of characters
+ * @param {string} pattern - Route pattern, e.g. 'sensor:*'
+ * @returns {RegExp} Anchored regular expression
+ */
+function compileRoutePattern(pattern) 
+{   const source                       =   pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`);
+}
+
+
+
+/**
+ * Parses DEBUG-style level patterns such as `*=info,sensor:*=debug,http=warn`.
+ * A bare level applies to all routes. Invalid entries are reported as
+ * process warnings and ignored.
+ * @param {string} [spec] - Comma or whitespace separated `pattern=level` entries
+ * @returns {Array<{pattern: string, regex: RegExp, level: string}>} Level rules
+ */
+function parseLevelPatterns(spec = '') 
+{   const rules                        =   [];
+    for (const entry of String(spec).split(/[\s,]+/).filter(Boolean)) 
+    {   const [pattern, level]         =   entry.includes('=') ? entry.split('=') : ['*', entry];
+        if (!isKnownLevel(level)) 
+        {   process.emitWarning(`Ignoring log level pattern '${entry}': unknown level '${level}'`, 'AppLoggerWarning');
+            continue;
+        }
+        rules.push({ pattern, regex: compileRoutePattern(pattern), level });
+    }
+    return rules;
+}
+
+
+
+/**
+ * Checks whether a level is built in or defined by an open logger
+ * @param {string} level - Level name
+ * @returns {boolean} True if some logger knows the level
+ */
+function isKnownLevel(level) 
+{   return level in LOGGING_LEVELS.levels || Array.from(instances).some(logger => level in logger.levels.levels);
+}
+
+
+
+/**
+ * Gets the route level rules, parsing APP_LOG_LEVEL on first use so that
+ * it can name custom levels of the first logger
+ * @returns {Array<{pattern: string, regex: RegExp, level: string}>} Level rules
+ */
+function getLevelRules() 
+{   if (!levelRules.rules) 
+    {   levelRules.rules               =   parseLevelPatterns(process.env.APP_LOG_LEVEL);
+    }
+    return levelRules.rules;
+}
+
+
+
+/**
+ * Resolves the level set by route level rules for a route. Rules naming a
+ * level the logger does not define are skipped.
+ * @param {string} route - Logger route
+ * @param {Object} levels - Level map of the logger
+ * @returns {string|null} Level of the last matching rule, or null
+ */
+function resolveRouteLevel(route, levels) 
+{   if (!levelRules.cache.has(route)) 
+    {   levelRules.cache.set(route, getLevelRules().filter(rule => rule.regex.test(route)));
+    }
+    const matches                      =   levelRules.cache.get(route).filter(rule => rule.level in levels);
+    return matches.length > 0 ? matches[matches.length - 1].level : null;
+}
+
+
+
+/**
+ * Defines a logging method for every level of a logger that has no method
+ * of its own, e.g. `logger.audit(message, obj)` for a custom 'audit' level,
+ * and removes the methods of levels it no longer has
+ * @param {AppLogger} logger - Logger or derived logger
+ */
+function defineLevelMethods(logger) 
+{   const names                        =   Object.keys(logger.levels.levels).filter(name => typeof AppLogger.prototype[name] !== 'function');
+    (levelMethods.get(logger) || []).filter(name => !names.includes(name)).forEach(name => delete logger[name]);
+    names.forEach((name) => 
+    {   Object.defineProperty(logger, name, { value: (message, obj) => logger.genLog(name, message, obj), configurable: true, writable: true });
+    });
+    levelMethods.set(logger, names);
+}
+
+
+
+/**
+ * Creates a timestamp formatter for the configured timestamp format
+ * @param {Object} config - Logger configuration
+ * @param {string} config.timestampFormat - 'locale', 'iso' or 'epoch'
+ * @param {string} config.dateLocale - The locale for date formatting
+ * @param {string} [config.timeZone] - IANA time zone for locale timestamps
+ * @param {boolean} [config.timestampMilliseconds] - Add milliseconds to locale timestamps
+ * @returns {Function} Formatter taking epoch milliseconds and returning a string
+ */
+function createTimestampFormatter(config) 
+{   if (!TIMESTAMP_FORMATS.includes(config.timestampFormat)) 
+    {   throw new Error(`Unknown timestamp format '${config.timestampFormat}', expected one of: ${TIMESTAMP_FORMATS.join(', ')}`);
+    }
+    if (config.timestampFormat === 'iso') 
+    {   return time => new Date(time).toISOString();
+    }
+    if (config.timestampFormat === 'epoch') 
+    {   return time => String(time);
+    }
+
+    const options                      =   { ...DATE_OPTIONS };
+    if (config.timeZone) 
+    {   options.timeZone               =   config.timeZone;
+    }
+    if (config.timestampMilliseconds) 
+    {   options.fractionalSecondDigits =   3;
+    }
+    const formatter                    =   new Intl.DateTimeFormat(config.dateLocale, options);
+    // Entries logged in a burst share their timestamp text, formatting it is the costly part
+    const step                         =   config.timestampMilliseconds ? 1 : 1000;
+    let cachedTime                     =   null;
+    let cachedText                     =   '';
+    return (time) => 
+    {   const key                      =   Math.floor(time / step);
+        if (key !== cachedTime) 
+        {   cachedTime                 =   key;
+            cachedText                 =   formatter.format(time);
+        }
+        return cachedText;
+    };
+}
+
+
+
+/**
+ * Formats bound context fields as a `[key=value ...]` message prefix
+ * @param {Object} [context] - Bound context fields
+ * @returns {string} Formatted prefix, empty when there is no context
+ */
+function formatContext(context) 
+{   if (!context) 
+    {   return '';
+    }
+    const pairs                        =   Object.entries(context).map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+    return `[${pairs.join(' ')}] `;
+}
+
+
+
+/**
+ * Creates a formatted log string. Entries of other routes sharing the
+ * transports (see AppLogger.get) are prefixed with their `[route]`.
+ * @param {Object} info - Winston log info object
+ * @param {Function} formatTimestamp - Timestamp formatter of the logger
+ * @param {string} ownerRoute - Route of the logger owning the transports
+ * @returns {string} Formatted log message
+ */
+function createLogString(info, formatTimestamp, ownerRoute) 
+{   const logLevel                     =   info.level.toUpperCase().padStart(9);
+    const timestamp                    =   formatTimestamp(info.timestamp || Date.now());
+    const route                        =   info.route && info.route !== ownerRoute ? `[${info.route}] ` : '';
+    const message                      =   `${timestamp} | ${logLevel} | ${route}${formatContext(info.context)}${info.message}`;
+    
+    // Errors are summarized inline with their stack rendered below the entry
+    if (serializer.isErrorRecord(info.obj)) 
+    {   return `${message} | ${JSON.stringify(serializer.summarizeErrorRecord(info.obj))}\n${serializer.formatErrorStack(info.obj)}`;
+    }
+
+    // Add object data if present
+    if (info.obj) 
+    {   return `${message} | ${JSON.stringify(info.obj)}`;
+    }    
+    return `${message} |`;
+}
+
+
+
+/**
+ * Creates a structured (NDJSON) log string. Timestamps are ISO-8601 UTC,
+ * or epoch milliseconds when the logger uses the 'epoch' timestamp format.
+ * @param {Object} info - Winston log info object
+ * @param {Function} formatTimestamp - Timestamp formatter of the logger
+ * @param {string} ownerRoute - Route of the logger owning the transports
+ * @param {string} timestampFormat - Timestamp format of the logger
+ * @returns {string} JSON encoded log entry
+ */
+function createJsonString(info, formatTimestamp, ownerRoute, timestampFormat) 
+{   const time                         =   info.timestamp || Date.now();
+    const entry                        =   {   timestamp: timestampFormat === 'epoch' ? time : new Date(time).toISOString(),
+                                               level: info.level,
+                                               route: info.route,
+                                               message: info.message
+                                           };
+
+    if (info.context) 
+    {   entry.context                  =   info.context;
+    }
+    if (info.obj) 
+    {   entry.data                     =   info.obj;
+    }
+    return JSON.stringify(entry);
+}
+
+
+
+/**
+ * Creates the entry handed to the formatter hook and to transport objects,
+ * shaped like the entries query returns
+ * @param {Object} info - Winston log info object
+ * @returns {Object} `{ timestamp, level, route, message, context, data }`
+ */
+function createEntry(info) 
+{   const entry                        =   {   timestamp: new Date(info.timestamp || Date.now()),
+                                               level: info.level,
+                                               route: info.route,
+                                               message: info.message
+                                           };
+
+    if (info.context) 
+    {   entry.context                  =   info.context;
+    }
+    if (info.obj) 
+    {   entry.data                     =   info.obj;
+    }
+    return entry;
+}
+
+
+
+/**
+ * Returns the line formatter for the given output format. Text lines come
+ * from the formatter hook when the logger has one.
+ * @param {string} format - Output format ('text' or 'json')
+ * @param {Object} config - Logger configuration
+ * @param {Function} [config.formatter] - `(entry, { formatTimestamp, ownerRoute }) => line` replacing text lines
+ * @param {string} route - Route of the logger owning the transports
+ * @returns {Function} Formatter taking a Winston info object
+ */
+function getFormatter(format, config, route) 
+{   const formatTimestamp              =   createTimestampFormatter(config);
+    if (format === 'text' && config.formatter) 
+    {   const helpers                  =   { formatTimestamp: time => formatTimestamp(Number(time)), ownerRoute: route };
+        return info => String(config.formatter(createEntry(info), helpers));
+    }
+    const createString                 =   format === 'json' ? createJsonString : createLogString;
+    return info => createString(info, formatTimestamp, route, config.timestampFormat);
+}
+
+
+
+/**
+ * Winston transport handing entries to a `{ name, write(entry), close() }`
+ * object. Entries carry the formatted `line`; write may return a promise,
+ * the entry counts as logged once it settles. A failed write is reported
+ * as a 'warn' event rather than 'error', Winston would unpipe and close
+ * the transport on an error.
+ */
+class EntryTransport extends winston.Transport 
+{   /**
+     * @param {Object} target - Transport object
+     */
+    constructor(target) 
+    {   super();
+        this.name                      =   target.name;
+        this.target                    =   target;
+        this.pending                   =   new Set();
+        this.closing                   =   null;
+    }
+
+    /**
+     * Hands an entry to the transport object
+     * @param {Object} info - Winston log info object
+     * @param {Function} callback - Called once the entry is accepted
+     */
+    log(info, callback) 
+    {   let written;
+        try 
+        {   written                    =   Promise.resolve(this.target.write({ ...createEntry(info), line: info[MESSAGE] }));
+        }
+        catch (error) 
+        {   written                    =   Promise.reject(error);
+        }
+        this.pending.add(written);
+        written.then(() => this.emit('logged', info), (error) => 
+        {   this.emit('warn', error);
+            this.emit('failed', info, error);
+        }).then(() => this.pending.delete(written));
+        callback();
+    }
+
+    /**
+     * Waits for the writes handed to the transport object so far
+     * @returns {Promise<void>}
+     */
+    settled() 
+    {   return Promise.allSettled(Array.from(this.pending)).then(() => undefined);
+    }
+
+    /**
+     * Closes the transport object once its writes have settled, once
+     * @returns {Promise<void>}
+     */
+    close() 
+    {   if (!this.closing) 
+        {   this.closing               =   this.settled().then(() => (this.target.close ? this.target.close() : undefined));
+        }
+        return this.closing;
+    }
+}
+
+
+
+/**
+ * Returns the Winston transport of a configured transport, wrapping
+ * transport objects
+ * @param {Object} transport - Winston transport or `{ name, write, close }` object
+ * @returns {Object} Winston transport
+ */
+function toWinstonTransport(transport) 
+{   if (transport instanceof winston.Transport || typeof transport.log === 'function') 
+    {   return transport;
+    }
+    if (!entryTransports.has(transport)) 
+    {   entryTransports.set(transport, new EntryTransport(transport));
+    }
+    return entryTransports.get(transport);
+}
+
+
+
+/**
+ * Closes the stream of a Winston transport once it has flushed its data
+ * @param {Object} transport - Winston transport
+ * @returns {Promise<void>}
+ */
+function closeTransportStream(transport) 
+{   return new Promise((resolve) => 
+    {   if (transport instanceof winston.transports.DailyRotateFile && transport.logStream) 
+        {   transport.logStream.end(() => resolve());
+        }
+        else if (transport instanceof winston.transports.File && transport._opening) 
+        {   waitForOpen(transport).then(() => closeTransportStream(transport), () => undefined).then(resolve);
+        }
+        else if (transport instanceof winston.transports.File && transport._dest && !transport._dest.closed && !failedTransports.has(transport)) 
+        {   transport._dest.once('close', () => resolve());
+            transport.close();
+        }
+        else 
+        {   resolve();
+        }
+    });
+}
+
+
+
+/**
+ * Creates a Winston format that colors the whole output line with the
+ * logger's own level colors. Unlike winston.format.colorize it does not
+ * register the colors globally, so loggers with custom levels do not
+ * change each other's palette.
+ * @param {Object} colors - Color specification by level
+ * @returns {Object} Winston format
+ */
+function colorizeFormat(colors) 
+{   return winston.format((info) => 
+    {   info[MESSAGE]                  =   levelDefinitions.colorize(info[MESSAGE], colors[info.level]);
+        return info;
+    })();
+}
+
+
+
+/**
+ * Creates the level filter of a file output
+ * @param {Object} output - Output settings
+ * @param {string[]} [output.levels] - Explicit set of levels
+ * @param {string} [output.minLevel] - Least severe level written
+ * @param {string} [output.maxLevel] - Most severe level written
+ * @param {Object} levels - Level map of the logger
+ * @returns {Function|null} `(level) => boolean`, or null when the output takes every level
+ */
+function createLevelFilter(output, levels) 
+{   if (output.levels) 
+    {   const accepted                 =   new Set(output.levels);
+        return level => accepted.has(level);
+    }
+    if (!output.minLevel && !output.maxLevel) 
+    {   return null;
+    }
+    const least                        =   output.minLevel ? levels[output.minLevel] : Infinity;
+    const most                         =   output.maxLevel ? levels[output.maxLevel] : -Infinity;
+    return level => levels[level] <= least && levels[level] >= most;
+}
+
+
+
+/**
+ * Checks whether a transport writes entries of a level
+ * @param {Object} transport - Winston transport
+ * @param {string} level - Log level
+ * @param {Object} levels - Level map of the logger
+ * @returns {boolean} True if the transport is not silent and its level admits the entry
+ */
+function transportAccepts(transport, level, levels) 
+{   const filter                       =   transportFilters.get(transport);
+    return !transport.silent && (!transport.level || levels[transport.level] >= levels[level]) && (!filter || filter(level));
+}
+
+
+
+/**
+ * Marks a transport as failed and rejects the entries waiting for it
+ * @param {Object} transport - Winston transport
+ * @param {Error} error - Failure of its file stream
+ */
+function failTransport(transport, error) 
+{   const waiters                      =   loggedWaiters.get(transport);
+    failedTransports.set(transport, error);
+    // The file stream is gone, discard what is queued for it so the other transports of the logger are not held up
+    transport._stream.resume();
+    if (waiters) 
+    {   waiters.forEach(waiter => waiter.reject(error));
+        waiters.clear();
+    }
+    transport.emit('streamError', error);
+}
+
+
+
+/**
+ * Waits until a transport has handled a tagged entry
+ * @param {Object} transport - Winston transport
+ * @param {number} id - Sequence number the entry is tagged with
+ * @returns {Promise<void>} Rejects when the transport emits an error first, fails the entry or has failed before
+ */
+function waitForLogged(transport, id) 
+{   if (failedTransports.has(transport)) 
+    {   return Promise.reject(failedTransports.get(transport));
+    }
+    let waiters                        =   loggedWaiters.get(transport);
+    if (!waiters) 
+    {   waiters                        =   new Map();
+        loggedWaiters.set(transport, waiters);
+        transport.on('logged', (info) => 
+        {   const waiter               =   waiters.get(info[ENTRY_ID]);
+            if (waiter) 
+            {   waiters.delete(info[ENTRY_ID]);
+                waiter.resolve();
+            }
+        });
+        transport.on('error', (error) => 
+        {   waiters.forEach(waiter => waiter.reject(error));
+            waiters.clear();
+        });
+        transport.on('failed', (info, error) => 
+        {   const waiter               =   waiters.get(info[ENTRY_ID]);
+            if (waiter) 
+            {   waiters.delete(info[ENTRY_ID]);
+                waiter.reject(error);
+            }
+        });
+    }
+    return new Promise((resolve, reject) => waiters.set(id, { resolve, reject }));
+}
+
+
+
+/**
+ * Waits until a transport has written a tagged entry, giving up after LOGGED_TIMEOUT
+ * @param {Object} transport - Winston transport
+ * @param {number} id - Sequence number the entry is tagged with
+ * @param {boolean} fsync - Also fsync the file
+ * @returns {Promise<void>} Rejects when the write fails or takes too long
+ */
+function waitForWritten(transport, id, fsync) 
+{   return new Promise((resolve, reject) => 
+    {   const timer                    =   setTimeout(() => 
+        {   const waiters              =   loggedWaiters.get(transport);
+            if (waiters) 
+            {   waiters.delete(id);
+            }
+            reject(new Error(`Transport '${transport.name}' did not write the entry within ${LOGGED_TIMEOUT} ms`));
+        }, LOGGED_TIMEOUT);
+        timer.unref();
+        waitForLogged(transport, id).then(() => persistTransport(transport, fsync))
+                                    .then(resolve, reject)
+                                    .finally(() => clearTimeout(timer));
+    });
+}
+
+
+
+/**
+ * Waits until a file transport has opened its file
+ * @param {Object} transport - Winston file transport
+ * @returns {Promise<void>} Rejects when the file cannot be opened
+ */
+function waitForOpen(transport) 
+{   if (failedTransports.has(transport)) 
+    {   return Promise.reject(failedTransports.get(transport));
+    }
+    if (!openSignals.has(transport)) 
+    {   openSignals.set(transport, new Promise((resolve, reject) => 
+        {   const settle = (error) => 
+            {   transport.removeListener('open', settle);
+                transport.removeListener('error', settle);
+                transport.removeListener('streamError', settle);
+                openSignals.delete(transport);
+                return error instanceof Error ? reject(error) : resolve();
+            };
+            transport.once('open', settle);
+            transport.once('error', settle);
+            transport.once('streamError', settle);
+        }));
+    }
+    return openSignals.get(transport);
+}
+
+
+
+/**
+ * Waits for the next sign of progress of a transport: a handled entry, a
+ * drained queue or a failure
+ * @param {Object} transport - Winston transport
+ * @returns {Promise<boolean>} True on progress, false when DRAIN_POLL_INTERVAL passed without any
+ */
+function nextProgress(transport) 
+{   if (!progressSignals.has(transport)) 
+    {   progressSignals.set(transport, new Promise((resolve) => 
+        {   const settle = (progressed) => 
+            {   clearTimeout(timer);
+                PROGRESS_EVENTS.forEach(event => transport.removeListener(event, onProgress));
+                progressSignals.delete(transport);
+                // Streams update their queue lengths after emitting, check them on the next turn
+                setImmediate(resolve, progressed);
+            };
+            const onProgress = () => settle(true);
+            const timer                =   setTimeout(settle, DRAIN_POLL_INTERVAL, false);
+            PROGRESS_EVENTS.forEach(event => transport.on(event, onProgress));
+        }));
+    }
+    return progressSignals.get(transport);
+}
+
+
+
+/**
+ * Waits until entries queued for some transports have drained
+ * @param {Function} drained - `() => boolean`, true once nothing is queued
+ * @param {Object[]} transports - Winston transports the entries are queued for
+ * @returns {Promise<void>} Rejects with the error of a failed transport, or when none of them makes progress for LOGGED_TIMEOUT
+ */
+async function waitForDrain(drained, transports) 
+{   let progressed                     =   Date.now();
+    while (!drained()) 
+    {   const failed                   =   transports.find(transport => failedTransports.has(transport));
+        if (failed) 
+        {   throw failedTransports.get(failed);
+        }
+        if (Date.now() - progressed >= LOGGED_TIMEOUT) 
+        {   throw new Error(`Queued entries did not drain within ${LOGGED_TIMEOUT} ms`);
+        }
+        if (transports.length === 0) 
+        {   await new Promise(resolve => setTimeout(resolve, DRAIN_POLL_INTERVAL));
+        }
+        else if ((await Promise.race(transports.map(nextProgress)))) 
+        {   progressed                 =   Date.now();
+        }
+    }
+}
+
+
+
+/**
+ * Writes an empty chunk behind everything a stream has queued, since writes
+ * complete in order its callback runs once the queued data is written
+ * @param {Object} stream - File write stream
+ * @returns {Promise<void>} Rejects with the stream's write error
+ */
+function writeBarrier(stream) 
+{   return new Promise((resolve, reject) => stream.write('', error => (error ? reject(error) : resolve())));
+}
+
+
+
+/**
+ * Waits until everything a file transport has accepted is written to its
+ * file, optionally forcing it to disk, and until the writes of a transport
+ * object have settled. Other transports write synchronously.
+ * @param {Object} transport - Winston transport
+ * @param {boolean} fsync - Also fsync the file
+ * @returns {Promise<void>}
+ */
+async function persistTransport(transport, fsync) 
+{   let fd;
+    if (closingTransports.has(transport)) 
+    {   // Closing writes out everything queued, a barrier would fail after end
+        return closingTransports.get(transport);
+    }
+    if (transport instanceof EntryTransport) 
+    {   await transport.settled();
+    }
+    else if (transport instanceof winston.transports.DailyRotateFile && transport.logStream) 
+    {   await writeBarrier(transport.logStream);
+        fd                             =   typeof transport.logStream.fd === 'number' ? transport.logStream.fd : rotatingDescriptors.get(transport);
+    }
+    else if (transport instanceof winston.transports.File) 
+    {   if (transport._opening || failedTransports.has(transport)) 
+        {   await waitForOpen(transport);
+        }
+        // Entries pass a PassThrough before they reach the file stream
+        await waitForDrain(() => transport._stream.readableLength === 0 || transport._dest.destroyed, [transport]);
+        await writeBarrier(transport._dest);
+        fd                             =   transport._dest.fd;
+    }
+    if (fsync && typeof fd === 'number') 
+    {   await new Promise((resolve, reject) => fs.fsync(fd, error => (error ? reject(error) : resolve())));
+    }
+}
+
+
+
+/**
+ * Converts a size such as '500m' or a number of bytes into bytes
+ * @param {string|number} size - Size with an optional k, m or g unit
+ * @returns {number} Size in bytes
+ */
+function parseSize(size) 
+{   const [, amount, unit]             =   String(size).toLowerCase().match(/^(\d+)([kmg]?)$/);
+    return Number(amount) * (1024 ** ' kmg'.indexOf(unit || ' '));
+}
+
+
+
+/**
+ * Deletes the oldest files of a rotating transport, plain or gzipped, until
+ * all of them together fit into maxBytes. The current file is always kept.
+ * @param {Object} transport - DailyRotateFile transport
+ * @param {number} maxBytes - Maximum total size in bytes
+ * @returns {Promise<void>}
+ */
+async function pruneRotatedFiles(transport, maxBytes) 
+{   const audit                        =   transport.logStream.auditLog;
+    const files                        =   [];
+    if (!audit) 
+    {   return;
+    }
+    // The rotator's audit lists every file it created, oldest first
+    for (const { name } of audit.files) 
+    {   for (const file of [name, `${name}.gz`]) 
+        {   const stats                =   await fs.promises.stat(file).catch(() => null);
+            if (stats) 
+            {   files.push({ file, size: stats.size });
+            }
+        }
+    }
+    let total                          =   files.reduce((sum, entry) => sum + entry.size, 0);
+    const current                      =   audit.files.length > 0 ? audit.files[audit.files.length - 1].name : null;
+    for (const { file, size } of files) 
+    {   if (total <= maxBytes || file === current) 
+        {   break;
+        }
+        await fs.promises.unlink(file).catch(() => {});
+        total                         -=   size;
+        transport.emit('logRemoved', file);
+    }
+}
+
+
+
+/**
+ * Ends a Winston logger and waits until every transport has written its
+ * pending entries and closed its file stream
+ * @param {winston.Logger} logger - Winston logger to close
+ * @returns {Promise<void>}
+ */
+async function closeWinstonLogger(logger) 
+{   const transports                   =   logger.transports.slice();
+    // A failed file transport never finishes, it has nothing left to write either
+    const finished                     =   transports.filter(transport => !failedTransports.has(transport))
+                                                     .map(transport => new Promise((resolve) => 
+                                                     {   transport.once('finish', resolve);
+                                                         transport.once('streamError', resolve);
+                                                     }));
+    const closed                       =   Promise.all(finished).then(() => Promise.all(transports.map(closeTransportStream)))
+                                                                 .then(() => Promise.all(transports.map(transport => retentionTasks.get(transport))));
+
+    transports.forEach(transport => closingTransports.set(transport, closed));
+    logger.end();
+    await closed;
+}
+
+
+
+/**
+ * Determines whether a request URL matches one of the skip rules
+ * @param {Array|Function} skip - Paths, regular expressions or a predicate
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @returns {boolean} True if the request should not be logged
+ */
+function shouldSkipRequest(skip, req, res) 
+{   if (typeof skip === 'function') 
+    {   return skip(req, res);
+    }
+    const url                          =   (req.originalUrl || req.url || '').split('?')[0];
+    return [].concat(skip).some(rule => rule instanceof RegExp ? rule.test(url) : rule === url);
+}
+
+
+
+/**
+ * Maps an HTTP status code to a log level
+ * @param {number} status - HTTP status code
+ * @returns {string} Log level
+ */
+function getHttpLevel(status) 
+{   if (status >= 500) 
+    {   return 'error';
+    }
+    if (status >= 400) 
+    {   return 'warn';
+    }
+    return 'http';
+}
+
+
+
+/**
+ * Creates an Express/Connect compatible request logging middleware
+ * @param {AppLogger} logger - Logger that receives the entries
+ * @param {Object} [options] - Middleware options
+ * @param {Array|Function} [options.skip] - Paths, regular expressions or predicate for requests not to log
+ * @param {boolean} [options.requestId] - Propagate or generate a request ID header
+ * @param {string} [options.requestIdHeader] - Name of the request ID header
+ * @returns {Function} Middleware `(req, res, next)`
+ */
+function createHttpMiddleware(logger, options = {}) 
+{   const settings                     =   { ...DEFAULT_MIDDLEWARE_OPTIONS, ...options };
+    const header                       =   settings.requestIdHeader.toLowerCase();
+
+    return function appLoggerMiddleware(req, res, next = () => {}) 
+    {   const start                    =   process.hrtime();
+        const context                  =   {};
+
+        if (settings.requestId) 
+        {   const requestId            =   req.headers[header] || crypto.randomBytes(16).toString('hex');
+            req.id                     =   requestId;
+            res.setHeader(header, requestId);
+            context.requestId          =   requestId;
+        }
+
+        res.on('finish', () => 
+        {   if (shouldSkipRequest(settings.skip, req, res)) 
+            {   return;
+            }
+            const [seconds, nanos]     =   process.hrtime(start);
+            const responseTime         =   Math.round((seconds * 1e3 + nanos / 1e6) * 100) / 100;
+            const url                  =   req.originalUrl || req.url;
+            const entry                =   {   method: req.method,
+                                               url,
+                                               status: res.statusCode,
+                                               responseTime,
+                                               contentLength: Number(res.getHeader('content-length')) || 0,
+                                               remoteAddress: req.ip || (req.socket && req.socket.remoteAddress)
                                            };
+            logger.child(context).genLog(getHttpLevel(res.statusCode), `${req.method} ${url} ${res.statusCode} ${responseTime}ms`, entry);
+        });
+
+        return AppLogger.runWithContext(context, next);
+    };
+}
+
+
+
+/**
+ * Logs a process event through every logger with handleExit on, then closes
+ * all logger instances and exits. Gives up waiting after the longest
+ * configured exitTimeout. A second event during shutdown exits at once.
+ * @param {string|null} message - Message logged at exception level, null to log nothing
+ * @param {*} error - Error or rejection reason logged with the message
+ * @param {number} [exitCode] - Exit code, omitted to let the process end by itself
+ * @returns {Promise<void>}
+ */
+async function shutdown(message, error, exitCode) 
+{   if (shuttingDown) 
+    {   if (exitCode !== undefined) 
+        {   process.exit(exitCode);
+        }
+        return;
+    }
+    shuttingDown                       =   true;
+
+    const loggers                      =   Array.from(instances).filter(logger => logger.config.handleExit);
+    const timeout                      =   Math.max(0, ...loggers.map(logger => logger.config.exitTimeout));
+    if (message && error instanceof Error && !loggers.some(logger => logger.config.consoleOutput === 'on')) 
+    {   // Handling the event suppresses Node's own report on stderr
+        console.error(error);
+    }
+    const closed                       =   (async () => 
+    {   if (message) 
+        {   const obj                  =   error instanceof Error || error === null ? error : { reason: error };
+            await Promise.all(loggers.map(logger => logger.exception(message, obj).catch(() => {})));
+        }
+        await AppLogger.closeAll();
+    })();
+    let timer;
+    await Promise.race([closed.catch(() => {}), new Promise(resolve => { timer = setTimeout(resolve, timeout); })]);
+    clearTimeout(timer);
+
+    if (exitCode !== undefined) 
+    {   process.exit(exitCode);
+    }
+}
 
-/**
- * Date formatting options
- */
-const DATE_OPTIONS                    =   {   month: "2-digit",
-                                              day: "2-digit", 
-                                              year: "numeric",
-                                              hour: "2-digit",
-                                              minute: "2-digit",
-                                              second: "2-digit"
-                                          };
 
-/**
- * Custom logging levels
- */
-const LOGGING_LEVELS                  =   {   levels: {   exception: 0,
-                                                          error: 1,
-                                                          warn: 2,
-                                                          info: 3,
-                                                          http: 4,
-                                                          trace: 5,
-                                                          debug: 6
-                                                      },
-                                              colors: {   exception: 'red bold',
-                                                          error: 'red',
-                                                          warn: 'yellow',
-                                                          info: 'green',
-                                                          http: 'magenta',
-                                                          trace: 'cyan',
-                                                          debug: 'blue'
-                                                      }
-                                          };
 
 /**
- * Formats the current date according to specified locale and options
- * @param {string} locale - The locale for date formatting
- * @returns {string} Formatted date string
+ * Installs the process listeners for handleExit while an open logger has it
+ * on, and removes them once none has
  */
-function formatDate(locale = 'de-DE') 
-{   return new Date(Date.now()).toLocaleString(locale, DATE_OPTIONS);
+function syncExitHandlers() 
+{   const wanted                       =   Array.from(instances).some(logger => logger.config.handleExit);
+    if (wanted && !exitListeners) 
+    {   exitListeners                  =   {   uncaughtException: error => shutdown(`Uncaught exception: ${error && error.message}`, error, 1),
+                                               unhandledRejection: reason => shutdown(`Unhandled promise rejection: ${reason instanceof Error ? reason.message : String(reason)}`, reason, 1),
+                                               beforeExit: () => shutdown(null, null)
+                                           };
+        EXIT_SIGNALS.forEach((signal) => 
+        {   exitListeners[signal]      =   () => shutdown(`Received ${signal}, shutting down`, null, 128 + os.constants.signals[signal]);
+        });
+        Object.entries(exitListeners).forEach(([event, listener]) => process.on(event, listener));
+    }
+    else if (!wanted && exitListeners) 
+    {   Object.entries(exitListeners).forEach(([event, listener]) => process.removeListener(event, listener));
+        exitListeners                  =   null;
+        shuttingDown                   =   false;
+    }
 }
 
 
 
 /**
- * Creates a formatted log string
- * @param {Object} info - Winston log info object
- * @returns {string} Formatted log message
+ * Lists the fields AppLogger methods assign, read from the class source so
+ * a field added later is reserved without being listed anywhere
+ * @returns {string[]} Field names such as 'throttle' and 'buffer'
  */
-function createLogString(info) 
-{   const logLevel                     =   info.level.toUpperCase().padStart(9);
-    const timestamp                    =   formatDate();
-    const message                      =   `${timestamp} | ${logLevel} | ${info.message}`;
-    
-    // Add object data if present
-    if (info.obj) 
-    {   return `${message} | ${JSON.stringify(info.obj)}`;
-    }    
-    return `${message} |`;
+function getInstanceFields() 
+{   const assignments                  =   AppLogger.toString().matchAll(/\bthis\.([A-Za-z_$][\w$]*)\s*[-+]?=(?!=)/g);
+    return Array.from(new Set(Array.from(assignments, match => match[1])));
 }
 
 
@@ -90,19 +1097,39 @@ function createLogString(info)
  * Application Logger Service Class
  * Provides comprehensive logging functionality for applications
  */
-class AppLogger 
+class AppLogger extends EventEmitter 
 {   /**
     * Creates a new logger instance
     * @param {string} route - The route/module name for the logger
     * @param {Object} config - Configuration options
+    * @throws {AppLoggerConfigError} If an option is invalid and strict is not false
     */
     constructor(route, config = {}) 
-    {   this.config                      =   { ...DEFAULT_CONFIG, ...config };
+    {   super();
+        this.config                      =   configLoader.resolveConfig(DEFAULT_CONFIG, config);
+        this.levels                      =   levelDefinitions.resolveLevels(this.config.levels, this.config.replaceLevels);
+        this._options                    =   config;
         this.route                       =   route;
+        this.context                     =   {};
+        this.level                       =   null;
+        this._parent                     =   null;
+        this._pending                    =   null;
+        this._replacing                  =   0;
+        this._reconfiguring              =   Promise.resolve();
+        this._warnedClosed               =   false;
+        this.redactor                    =   createRedactor(this.config.redact);
+        this.throttle                    =   createThrottle(this.config.throttle, this._writeSummary.bind(this));
+        this.buffer                      =   this._createBuffer();
         this.logger                      =   this._createWinstonLogger();
+        this._customLogger               =   null;
+        this._syncCustomTransports();
+        defineLevelMethods(this);
+        instances.add(this);
       
       // Ensure log directory exists
       this._ensureLogDirectory();
+      this._watchConfigFile();
+      syncExitHandlers();
     }
    
   
@@ -112,12 +1139,135 @@ class AppLogger
      * @private
      */
     _ensureLogDirectory() 
-    {   const logDir                   =   path.dirname(path.resolve(this.config.logPath));
+    {   const logDir                   =   path.resolve(this.config.logPath);
         if (!fs.existsSync(logDir)) 
         {   fs.mkdirSync(logDir, { recursive: true });
         }
     }
   
+    /**
+     * Starts polling the config file for level changes when watchConfig is on
+     * @private
+     */
+    _watchConfigFile() 
+    {   if (!this.config.watchConfig || !this.config.configFile) 
+        {   return;
+        }
+        this._configWatcher            =   () => this._reloadConfigFile();
+        this._watchedFile              =   this.config.configFile;
+        fs.watchFile(this._watchedFile, { interval: CONFIG_WATCH_INTERVAL, persistent: false }, this._configWatcher);
+    }
+  
+    /**
+     * Stops polling the config file
+     * @private
+     */
+    _unwatchConfigFile() 
+    {   if (this._configWatcher) 
+        {   fs.unwatchFile(this._watchedFile, this._configWatcher);
+            this._configWatcher        =   null;
+        }
+    }
+  
+    /**
+     * Re-reads the config file and applies a changed logTracelevel in place.
+     * Invalid files are reported as process warnings and ignored.
+     * @private
+     */
+    _reloadConfigFile() 
+    {   try 
+        {   const config               =   configLoader.resolveConfig(DEFAULT_CONFIG, this._options);
+            if (!(config.logTracelevel in this.levels.levels)) 
+            {   throw new Error(`unknown level '${config.logTracelevel}'`);
+            }
+            this.config                =   { ...this.config, logTracelevel: config.logTracelevel };
+        }
+        catch (error) 
+        {   process.emitWarning(`Ignoring logger config reload: ${error.message}`, 'AppLoggerWarning');
+        }
+    }
+  
+    /**
+     * Resolves the output format for a transport type
+     * @param {string} transport - Transport type ('console' or 'file')
+     * @returns {string} Output format ('text' or 'json')
+     * @private
+     */
+    _resolveFormat(transport) 
+    {   const format                   =   this.config[`${transport}Format`] || this.config.format;
+        if (!LOG_FORMATS.includes(format)) 
+        {   throw new Error(`Unknown log format '${format}', expected one of: ${LOG_FORMATS.join(', ')}`);
+        }
+        return format;
+    }
+  
+    /**
+     * Creates a plain or a date and size rotated file transport. Rotated
+     * file names get `-%DATE%` before their extension unless they contain it,
+     * without a date pattern files only rotate by size and carry no date.
+     * @param {Object} output - Output settings
+     * @param {string} output.filename - File name in logPath, `{route}` is replaced with the route
+     * @param {boolean} output.rotation - Rotate the file
+     * @param {string} output.maxSize - Maximum file size before rotation
+     * @param {string} output.maxFiles - Rotated files to keep
+     * @param {string|null} output.datePattern - Date pattern starting a new file whenever its value changes
+     * @param {boolean} output.zippedArchive - Gzip rotated files
+     * @param {string|number|null} output.maxTotalSize - Maximum size of all rotated files together
+     * @param {string} output.format - Output format ('text' or 'json')
+     * @param {string|Buffer} [output.auditKey] - Chain the entries with an HMAC under this key
+     * @returns {Object} Winston transport
+     * @private
+     */
+    _createFileTransport(output) 
+    {   const filename                 =   path.join(this.config.logPath, output.filename.replace(/\{route\}/g, this.route));
+        const filter                   =   createLevelFilter(output, this.levels.levels);
+        const formatter                =   getFormatter(output.format, this.config, this.route);
+        const printf                   =   winston.format.printf(output.auditKey ? info => chain(formatter(info)) : formatter);
+        const format                   =   filter ? winston.format.combine(winston.format(info => (filter(info.level) ? info : false))(), printf) : printf;
+        let transport;
+        let chain;
+
+        if (output.rotation) 
+        {   const dated                =   output.datePattern !== null;
+            const rotated              =   !dated ? filename.replace(/[-_.]?%DATE%/g, '') : (filename.includes('%DATE%') ? filename : filename.replace(/(\.[^./\\]+)?$/, '-%DATE%$1'));
+            transport                  =   new winston.transports.DailyRotateFile({   filename: rotated,
+                                                                                     // A pattern of an empty literal never changes, so only the size rotates
+                                                                                     datePattern: dated ? output.datePattern : '[]',
+                                                                                     maxSize: output.maxSize,
+                                                                                     maxFiles: output.maxFiles,
+                                                                                     zippedArchive: output.zippedArchive,
+                                                                                     auditFile: path.join(path.dirname(rotated), `.${path.basename(rotated).replace(/%DATE%/g, 'DATE')}-audit.json`),
+                                                                                     format
+                                                                                 });
+            // The rotated file stream is internal, remember its descriptor for fsync
+            transport.logStream.on('open', fd => rotatingDescriptors.set(transport, fd));
+            transport.on('rotate', (oldFile, newFile) => this.emit('rotate', { route: this.route, oldFile, newFile }));
+            transport.on('archive', file => this.emit('archive', { route: this.route, file }));
+            if (output.maxTotalSize !== null) 
+            {   // Removals run one after another, close() waits for the last one
+                const prune            =   () => retentionTasks.set(transport, Promise.resolve(retentionTasks.get(transport))
+                                                                                   .then(() => pruneRotatedFiles(transport, parseSize(output.maxTotalSize))));
+                transport.logStream.on('new', prune);
+                transport.on('archive', prune);
+            }
+        }
+        else 
+        {   transport                  =   new winston.transports.File({ filename, format });
+            // Winston only debug-logs failures of the file stream, such as a path that cannot be opened
+            const createStream         =   transport._createStream;
+            transport._createStream    =   source => createStream.call(transport, source).on('error', error => failTransport(transport, error));
+        }
+        if (output.auditKey) 
+        {   // Continue the chain after the newest entry already written, the rotator lists its files oldest first
+            const files                =   transport.logStream && transport.logStream.auditLog ? transport.logStream.auditLog.files.map(file => file.name).reverse() : [filename];
+            chain                      =   audit.createAuditChain(output.auditKey, files);
+        }
+        if (filter) 
+        {   transportFilters.set(transport, filter);
+        }
+        return transport;
+    }
+  
     /**
      * Creates and configures the Winston logger instance
      * @returns {winston.Logger} Configured Winston logger
@@ -125,39 +1275,167 @@ class AppLogger
      */
     _createWinstonLogger() 
     {   const transports               =   [];
+        const consoleFormat            =   this._resolveFormat('console');
+        const consoleFormatter         =   getFormatter(consoleFormat, this.config, this.route);
+        const fileDefaults             =   {   rotation: this.config.fileRotation,
+                                               maxSize: this.config.maxFileSize,
+                                               maxFiles: this.config.maxFiles,
+                                               datePattern: this.config.datePattern,
+                                               zippedArchive: this.config.zippedArchive,
+                                               maxTotalSize: this.config.maxTotalSize,
+                                               format: this._resolveFormat('file')
+                                           };
       
-      // File transport
-      if (this.config.fileRotation) 
-      {   transports.push(new winston.transports.DailyRotateFile({   filename: path.join(this.config.logPath, `${this.route}-%DATE%.log`),
-                                                                     datePattern: 'YYYY-MM-DD',
-                                                                     maxSize: this.config.maxFileSize,
-                                                                     maxFiles: this.config.maxFiles,
-                                                                     format: winston.format.printf(createLogString)
-                                                                 }));
-      } 
-      else 
-      {   transports.push(new winston.transports.File({  filename: path.join(this.config.logPath, `${this.route}.log`),
-                                                         format: winston.format.printf(createLogString)
-                                                      }));
+      // File transports: the main log, the error log, level-routed outputs and the audit log
+      const main                       =   this._createFileTransport({ ...fileDefaults, filename: this.config.fileRotation ? '{route}-%DATE%.log' : '{route}.log' });
+      transports.push(main);
+      if (this.config.errorFile) 
+      {   transports.push(this._createFileTransport({ ...fileDefaults, filename: '{route}.error.log', minLevel: 'error' }));
+      }
+      this.config.outputs.forEach(output => transports.push(this._createFileTransport({ ...fileDefaults, ...output })));
+      if (this.config.audit) 
+      {   const { key, ...output }     =   this.config.audit;
+          transports.push(this._createFileTransport({ ...fileDefaults, filename: '{route}.audit.log', ...output, format: 'json', auditKey: key }));
       }
       
       // Console transport  
 
-      if (this.config.consoleOutput === 'on') 
-      {   transports.push(new winston.transports.Console({   format: winston.format.combine(     winston.format.printf(createLogString),
-                                                                                                 winston.format.colorize({ all: true })
+      if (this.config.consoleOutput === 'on' && consoleFormat === 'json') 
+      {   transports.push(new winston.transports.Console({   format: winston.format.printf(consoleFormatter) }));
+      }
+      else if (this.config.consoleOutput === 'on') 
+      {   transports.push(new winston.transports.Console({   format: winston.format.combine(     winston.format.printf(consoleFormatter),
+                                                                                                 colorizeFormat(this.levels.colors)
                                                                                             )                                                                                            
                                                          }));
       }
   
-      // Add colors to Winston
-      winston.addColors(LOGGING_LEVELS.colors);
+      // Levels are filtered in genLog, so Winston passes everything through
+      const logger                     =   winston.createLogger({   levels: this.levels.levels,
+                                                                    level: Object.keys(this.levels.levels).sort((a, b) => this.levels.levels[b] - this.levels.levels[a])[0],
+                                                                    defaultMeta: { route: this.route },
+                                                                    transports,
+                                                                    format: winston.format.printf(getFormatter('text', this.config, this.route))
+                                                                });
+      mainTransports.set(logger, main);
+      return logger;
+    }
+  
+    /**
+     * Brings the Winston logger of the custom transports in line with the
+     * transports option. Unlike the file and console transports it is not
+     * replaced on reconfiguration, only its format and levels follow the
+     * configuration, so custom transports keep their state until close().
+     * Transports no longer configured are detached, which closes them.
+     * @private
+     */
+    _syncCustomTransports() 
+    {   const levels                   =   this.levels.levels;
+        const least                    =   Object.keys(levels).sort((a, b) => levels[b] - levels[a])[0];
+        const format                   =   winston.format.printf(getFormatter(this.config.format, this.config, this.route));
+        if (!this._customLogger) 
+        {   this._customLogger         =   winston.createLogger({ levels, level: least, defaultMeta: { route: this.route }, format });
+            const warn                 =   (error, transport) => process.emitWarning(`Transport '${transport && transport.name}' failed: ${error.message}`, 'AppLoggerWarning');
+            this._customLogger.on('error', warn);
+            this._customLogger.on('warn', warn);
+        }
+        Object.assign(this._customLogger, { levels, level: least, format });
+
+        const wanted                   =   this.config.transports.map(toWinstonTransport);
+        this._customLogger.transports.filter(transport => !wanted.includes(transport)).forEach((transport) => 
+        {   this._customLogger.remove(transport);
+            entryTransports.delete(transport.target);
+        });
+        wanted.filter(transport => !this._customLogger.transports.includes(transport)).forEach(transport => this._customLogger.add(transport));
+        wanted.forEach((transport) => 
+        {   transport.levels           =   levels;
+        });
+    }
+  
+    /**
+     * Adds a transport that receives every entry the logger writes, kept
+     * across reconfiguration and closed by close()
+     * @param {Object} transport - Winston transport or `{ name, write(entry), close() }` object
+     * @returns {AppLogger} This logger
+     * @throws {AppLoggerConfigError} If the transport is neither
+     */
+    addTransport(transport) 
+    {   if (this._parent) 
+        {   this._parent.addTransport(transport);
+            return this;
+        }
+        configLoader.reportProblems(configLoader.validateConfig({ transports: [transport] }, this.levels.levels, 'addTransport'), true);
+        if (!this.config.transports.includes(transport)) 
+        {   const transports           =   this.config.transports.concat(transport);
+            this.config                =   { ...this.config, transports };
+            this._options              =   { ...this._options, transports };
+            this._syncCustomTransports();
+        }
+        return this;
+    }
+  
+    /**
+     * Removes a custom transport once the entries logged so far are handed
+     * to it, and closes it
+     * @param {Object|string} transport - Transport as added, or its name
+     * @returns {Promise<boolean>} True if the transport was found
+     */
+    async removeTransport(transport) 
+    {   if (this._parent) 
+        {   return this._parent.removeTransport(transport);
+        }
+        const target                   =   this.config.transports.find(item => item === transport || item.name === transport);
+        if (!target) 
+        {   return false;
+        }
+        await this.flush();
+        const transports               =   this.config.transports.filter(item => item !== target);
+        const winstonTransport         =   toWinstonTransport(target);
+        this.config                    =   { ...this.config, transports };
+        this._options                  =   { ...this._options, transports };
+        this._syncCustomTransports();
+        if (winstonTransport instanceof EntryTransport) 
+        {   await winstonTransport.close();
+        }
+        return true;
+    }
+  
+    /**
+     * Lists the files of the main log output, oldest first. Rotated files
+     * are taken from the rotator's audit, gzipped where they were archived.
+     * @returns {string[]} Existing log files
+     * @private
+     */
+    _logFiles() 
+    {   const transport                =   mainTransports.get(this.logger);
+        const names                    =   transport.logStream && transport.logStream.auditLog
+                                               ? transport.logStream.auditLog.files.map(file => file.name)
+                                               : [path.join(transport.dirname, transport.filename)];
+        return names.map(name => (fs.existsSync(name) ? name : `${name}.gz`)).filter(name => fs.existsSync(name));
+    }
+  
+    /**
+     * Gets the file the main log output currently writes to
+     * @returns {string} Current log file
+     * @private
+     */
+    _currentLogFile() 
+    {   const transport                =   mainTransports.get(this.logger);
+        const files                    =   transport.logStream && transport.logStream.auditLog ? transport.logStream.auditLog.files : [];
+        return files.length > 0 ? files[files.length - 1].name : path.join(transport.dirname, transport.filename);
+    }
   
-      return winston.createLogger({   levels: LOGGING_LEVELS.levels,
-                                      level: this.config.logTracelevel,
-                                      transports,
-                                      format: winston.format.printf(createLogString)
-                                  });
+    /**
+     * Creates the factory of entry parsers for this logger's files
+     * @returns {Function} Returns a fresh entry parser
+     * @private
+     */
+    _entryParser() 
+    {   const settings                 =   {   route: this.route,
+                                               levels: this.levels.levels,
+                                               parseTimestamp: reader.createTimestampParser(this.config, DATE_OPTIONS)
+                                           };
+        return () => reader.createEntryParser(settings);
     }
   
     /**
@@ -168,12 +1446,285 @@ class AppLogger
      * @returns {Promise<void>}
      */
     async genLog(level, message, obj = null) 
-    {   if (obj) 
-        {   this.logger.log(level, message, { obj });
-        } 
-        else 
-        {   this.logger.log(level, message);
+    {   if (!this.isLevelEnabled(level) || (this.throttle && !this.throttle.accept(level, this.route, message))) 
+        {   return;
+        }
+        const meta                     =   { timestamp: Date.now(), route: this.route };
+        const context                  =   { ...AppLogger.getContext(), ...this.context };
+        const limits                   =   {   maxDepth: this.config.maxDepth,
+                                               maxArrayLength: this.config.maxArrayLength,
+                                               maxStringLength: this.config.maxStringLength,
+                                               maxPayloadBytes: this.config.maxPayloadBytes
+                                           };
+        if (obj) 
+        {   meta.obj                   =   serializer.serializePayload(obj, limits, this.redactor);
+        }
+        if (Object.keys(context).length > 0) 
+        {   meta.context               =   serializer.serializePayload(context, limits, this.redactor);
+        }
+        return this._write(level, message, meta);
+    }
+  
+    /**
+     * Writes the summary of entries the throttle left out
+     * @param {string} level - Level of the entries left out
+     * @param {string} route - Route of the entries left out
+     * @param {string} message - Summary message
+     * @param {Object} data - Counts of the summary
+     * @private
+     */
+    _writeSummary(level, route, message, data) 
+    {   Promise.resolve(this._write(level, message, { timestamp: Date.now(), route, obj: data })).catch(() => {});
+    }
+  
+    /**
+     * Creates the write buffer for the buffer option, reporting dropped
+     * entries with an `overflow` event
+     * @returns {Object|null} Buffer, null when entries are written directly
+     * @private
+     */
+    _createBuffer() 
+    {   const overflow                 =   this.config.buffer && this.config.buffer.overflow;
+        return createBuffer(this.config.buffer, this._dispatch.bind(this), dropped => this.emit('overflow', { route: this.route, dropped, policy: overflow || 'dropOldest' }));
+    }
+  
+    /**
+     * Hands a prepared entry to the write buffer, or straight on to the
+     * transports when buffering is off
+     * @param {string} level - Log level
+     * @param {string} message - Log message
+     * @param {Object} meta - Entry metadata
+     * @returns {Promise<void>|undefined} Settles as described for _log; buffered entries
+     * settle once queued unless durability is on or a blocking buffer is full
+     * @private
+     */
+    _write(level, message, meta) 
+    {   if (this._parent) 
+        {   return this._parent._write(level, message, meta);
+        }
+        if (!instances.has(this)) 
+        {   // The transports are ended, writing would reject with 'write after end'
+            if (!this._warnedClosed) 
+            {   this._warnedClosed         =   true;
+                process.emitWarning(`Logger '${this.route}' is closed, entries logged after close() are dropped`, 'AppLoggerWarning');
+            }
+            return;
+        }
+        if (this.buffer) 
+        {   return this.buffer.push(level, message, meta, this.config.durability !== 'none');
+        }
+        return this._dispatch(level, message, meta);
+    }
+  
+    /**
+     * Hands a prepared entry to the transports. While updateConfig swaps the
+     * transports, entries are held back and written to the new ones in order.
+     * @param {string} level - Log level
+     * @param {string} message - Log message
+     * @param {Object} meta - Entry metadata
+     * @returns {Promise<void>|undefined} Settles as described for _log
+     * @private
+     */
+    _dispatch(level, message, meta) 
+    {   if (this._pending) 
+        {   return new Promise((resolve, reject) => this._pending.push({ level, message, meta, resolve, reject }));
+        }
+        return this._log(level, message, meta);
+    }
+  
+    /**
+     * Logs an entry through the Winston logger. Unless durability is 'none'
+     * the entry is tagged and the returned promise waits until every
+     * transport that accepts it has written it to its file (and fsynced it
+     * for 'fsync').
+     * @param {string} level - Log level
+     * @param {string} message - Log message
+     * @param {Object} meta - Entry metadata
+     * @returns {Promise<void>|undefined} Rejects when a transport fails to write the entry
+     * @private
+     */
+    _log(level, message, meta) 
+    {   const { durability }           =   this.config;
+        const custom                   =   this._customLogger.transports.length > 0 ? this._customLogger : null;
+        if (durability === 'none') 
+        {   this.logger.log(level, message, meta);
+            if (custom) 
+            {   custom.log(level, message, meta);
+            }
+            return;
+        }
+        const id                       =   ++entrySequence;
+        // Custom Winston transports need not emit 'logged', they count as written once handed the entry
+        const objectTransports         =   custom ? custom.transports.filter(transport => transport instanceof EntryTransport) : [];
+        const transports               =   this.logger.transports.concat(objectTransports).filter(transport => transportAccepts(transport, level, this.levels.levels));
+        const written                  =   Promise.all(transports.map(transport => waitForWritten(transport, id, durability === 'fsync')));
+
+        meta[ENTRY_ID]                 =   id;
+        this.logger.log(level, message, meta);
+        if (custom) 
+        {   custom.log(level, message, meta);
+        }
+        return written.then(() => undefined);
+    }
+  
+    /**
+     * Waits until every entry logged so far, including buffered entries, is
+     * written to the log files, regardless of the durability mode, fsyncing
+     * them in 'fsync' mode
+     * @returns {Promise<void>} Rejects when a transport fails to write
+     */
+    async flush() 
+    {   if (this._parent) 
+        {   return this._parent.flush();
+        }
+        if (this.buffer) 
+        {   this.buffer.flush();
+        }
+        await this._reconfiguring;
+        if (!instances.has(this)) 
+        {   return;
+        }
+        const loggers                  =   [this.logger, this._customLogger];
+        const transports               =   loggers.flatMap(logger => logger.transports);
+        // Wait until Winston has handed every entry to the transports
+        await waitForDrain(() => !loggers.some(logger => logger.writableLength > 0 || logger.readableLength > 0) && !transports.some(transport => transport.writableLength > 0), transports);
+        await Promise.all(transports.map(transport => persistTransport(transport, this.config.durability === 'fsync')));
+    }
+  
+    /**
+     * Reads entries back from the main log file, including rotated and
+     * gzipped files, in text or JSON format
+     * @param {Object} [options] - Query options
+     * @param {Date|string|number} [options.from] - Earliest timestamp
+     * @param {Date|string|number} [options.to] - Latest timestamp
+     * @param {string|string[]} [options.level] - A level and everything more severe, or a list of levels
+     * @param {string|RegExp} [options.route] - Route, or a pattern routes must match
+     * @param {string|RegExp} [options.text] - Case-insensitive text, or a pattern, found in the message or data
+     * @param {number} [options.limit] - Return only the most recent matching entries
+     * @returns {Promise<Object[]>} Entries `{ timestamp, level, route, message, context, data, stack }`, oldest first
+     */
+    async query(options = {}) 
+    {   if (this._parent) 
+        {   return this._parent.query(options);
+        }
+        const { limit, ...filters }    =   options;
+        if (limit !== undefined && !(Number.isInteger(limit) && limit >= 0)) 
+        {   throw new Error(`Invalid limit '${limit}', expected an integer >= 0`);
+        }
+        const filter                   =   reader.createEntryFilter(filters, this.levels.levels);
+        await this.flush();
+        return reader.queryFiles(this._logFiles(), { filter, createParser: this._entryParser(), limit });
+    }
+  
+    /**
+     * Reads the most recent entries of the main log file and, when following,
+     * the entries appended after them, across rotations, until the logger is
+     * closed, the signal aborts or the loop is left
+     * @param {Object} [options] - Tail options, plus the filters of query
+     * @param {number} [options.lines] - Recent entries to start with
+     * @param {boolean} [options.follow] - Keep waiting for new entries
+     * @param {number} [options.interval] - Milliseconds between checks for new entries
+     * @param {AbortSignal} [options.signal] - Ends following
+     * @returns {AsyncGenerator<Object>} Entries as returned by query
+     */
+    async *tail(options = {}) 
+    {   if (this._parent) 
+        {   yield* this._parent.tail(options);
+            return;
+        }
+        const { lines = 10, follow = false, interval, signal, ...filters }   =   options;
+        if (!(Number.isInteger(lines) && lines >= 0)) 
+        {   throw new Error(`Invalid lines '${lines}', expected an integer >= 0`);
+        }
+        const filter                   =   reader.createEntryFilter(filters, this.levels.levels);
+        const createParser             =   this._entryParser();
+        await this.flush();
+
+        // Start following where the recent entries end, so none is read twice
+        const file                     =   this._currentLogFile();
+        const offset                   =   await fs.promises.stat(file).then(stats => stats.size, () => 0);
+        yield* await reader.queryFiles(this._logFiles(), { filter, createParser, limit: lines, ends: { [file]: offset } });
+        if (follow) 
+        {   yield* reader.followFile({   currentFile: () => this._currentLogFile(),
+                                         file,
+                                         offset,
+                                         filter,
+                                         createParser,
+                                         active: () => instances.has(this),
+                                         interval,
+                                         signal
+                                     });
+        }
+    }
+  
+    /**
+     * Get the level threshold in effect for this logger
+     * @returns {string} Level from a matching route rule (APP_LOG_LEVEL or
+     * AppLogger.setLevel), else the own level override, else the parent's
+     * level or the configured logTracelevel
+     */
+    getLevel() 
+    {   const routeLevel               =   resolveRouteLevel(this.route, this.levels.levels);
+        if (routeLevel) 
+        {   return routeLevel;
         }
+        if (this.level) 
+        {   return this.level;
+        }
+        return this._parent ? this._parent.getLevel() : this.config.logTracelevel;
+    }
+  
+    /**
+     * Checks whether entries of a level are written by this logger
+     * @param {string} level - Log level
+     * @returns {boolean} True if the level passes the threshold
+     */
+    isLevelEnabled(level) 
+    {   return this.levels.levels[level] <= this.levels.levels[this.getLevel()];
+    }
+  
+    /**
+     * Creates a child logger that binds context fields to every entry.
+     * The child shares the parent's Winston logger and transports, so no
+     * additional file handles are opened.
+     * @param {Object} fields - Context fields to bind
+     * @returns {AppLogger} Child logger
+     */
+    child(fields = {}) 
+    {   return this._derive(this.route, { ...this.context, ...fields });
+    }
+  
+    /**
+     * Creates a lightweight logger sharing this logger's transports
+     * @param {string} route - Route of the derived logger
+     * @param {Object} context - Context fields bound to every entry
+     * @param {string|null} [level] - Level override, inherits when null
+     * @returns {AppLogger} Derived logger
+     * @private
+     */
+    _derive(route, context, level = null) 
+    {   const parent                   =   this;
+        const derived                  =   Object.create(AppLogger.prototype);
+  
+        Object.defineProperties(derived, {   config: { get: () => (derived.level ? { ...parent.config, logTracelevel: derived.level } : parent.config), enumerable: true },
+                                             logger: { get: () => parent.logger, enumerable: true },
+                                             redactor: { get: () => parent.redactor, enumerable: true },
+                                             throttle: { get: () => parent.throttle, enumerable: true },
+                                             levels: { get: () => parent.levels, enumerable: true }
+                                         });
+        derived.route                  =   route;
+        derived.context                =   context;
+        derived.level                  =   level;
+        derived._parent                =   parent;
+        LISTENER_METHODS.forEach((method) => 
+        {   const forward = (...args) => 
+            {   parent[method](...args);
+                return derived;
+            };
+            Object.defineProperty(derived, method, { value: forward, configurable: true, writable: true });
+        });
+        defineLevelMethods(derived);
+        return derived;
     }
   
     /**
@@ -247,11 +1798,29 @@ class AppLogger
     }
   
     /**
-     * Close the logger and cleanup resources
+     * Close the logger and cleanup resources. Entries logged afterwards are
+     * dropped with a warning.
      * @returns {Promise<void>}
      */
     async close() 
-    {   return new Promise((resolve) => {  this.logger.close(() => {   resolve(); }); });
+    {   // Children do not own transports, the parent closes them
+        if (this._parent || !instances.has(this)) 
+        {   return;
+        }
+        if (this.throttle) 
+        {   this.throttle.flush();
+        }
+        if (this.buffer) 
+        {   this.buffer.flush();
+        }
+        instances.delete(this);
+        this._unwatchConfigFile();
+        syncExitHandlers();
+        await this._reconfiguring;
+        const custom                   =   this._customLogger.transports.slice();
+        await Promise.all([closeWinstonLogger(this.logger), closeWinstonLogger(this._customLogger)]);
+        // Ending the logger unpipes and so closes the transports, transport objects close once their writes settle
+        await Promise.all(custom.filter(transport => transport instanceof EntryTransport).map(transport => transport.close()));
     }
   
     /**
@@ -263,14 +1832,262 @@ class AppLogger
     }
   
     /**
-     * Update configuration
+     * Update configuration. Options read per entry (level, redaction, limits)
+     * are applied in place; any other change drains and closes the current
+     * transports before the new ones are opened. Entries logged meanwhile are
+     * held back and written to the new transports, so none are lost or
+     * duplicated. Emits `reconfigured` once the change is in effect. Child
+     * and registry loggers keep a level change to themselves; other options
+     * change the logger whose transports they share, and so its other routes.
      * @param {Object} newConfig - New configuration options
+     * @returns {Promise<void>} Resolves when the new configuration is in effect
+     * @throws {AppLoggerConfigError} If an option is invalid and the logger is strict
      */
     updateConfig(newConfig) 
-    {   this.config = { ...this.config, ...newConfig };
-        // Recreate logger with new config
-        this.logger = this._createWinstonLogger();
+    {   if (this._parent) 
+        {   // Only the level is the derived logger's own, other options change the shared transports
+            const { logTracelevel, ...shared }   =   newConfig;
+            if (logTracelevel !== undefined) 
+            {   const strict           =   (newConfig.strict === undefined ? this.config.strict : newConfig.strict) !== false;
+                const problems         =   configLoader.validateConfig({ logTracelevel }, this.levels.levels, 'updateConfig');
+                configLoader.reportProblems(problems, strict);
+                if (problems.length === 0) 
+                {   this.level         =   logTracelevel;
+                }
+            }
+            return Object.keys(shared).length > 0 ? this._parent.updateConfig(shared) : Promise.resolve();
+        }
+        const strict                   =   (newConfig.strict === undefined ? this.config.strict : newConfig.strict) !== false;
+        const levels                   =   configLoader.levelMap(this.config, newConfig);
+        const problems                 =   configLoader.validateConfig(newConfig, levels, 'updateConfig');
+        newConfig                      =   configLoader.omitInvalid(newConfig, problems);
+        const levelProblems            =   configLoader.checkLevelOptions({ ...this.config, ...newConfig }, levels, 'updateConfig', problems);
+        configLoader.reportProblems(problems.concat(levelProblems), strict);
+        if (levelProblems.length > 0) 
+        {   // Keep the current levels, the options naming levels do not fit the new ones
+            newConfig                  =   configLoader.omitInvalid(newConfig, levelProblems.concat([{ key: 'levels' }, { key: 'replaceLevels' }]));
+        }
+
+        const previous                 =   this.config;
+        const changed                  =   Object.keys(newConfig).filter(key => newConfig[key] !== previous[key]);
+
+        this.config                    =   { ...this.config, ...newConfig };
+        this._options                  =   { ...this._options, ...newConfig };
+        this.redactor                  =   createRedactor(this.config.redact);
+        if (changed.includes('throttle')) 
+        {   // Summarize what the old settings left out before counting anew
+            if (this.throttle) 
+            {   this.throttle.flush();
+            }
+            this.throttle              =   createThrottle(this.config.throttle, this._writeSummary.bind(this));
+        }
+        if (changed.includes('buffer')) 
+        {   if (this.buffer) 
+            {   this.buffer.flush();
+            }
+            this.buffer                =   this._createBuffer();
+        }
+        this.levels                    =   levelDefinitions.resolveLevels(this.config.levels, this.config.replaceLevels);
+        defineLevelMethods(this);
+        this._syncCustomTransports();
+        if (changed.includes('configFile') || changed.includes('watchConfig')) 
+        {   this._unwatchConfigFile();
+            this._watchConfigFile();
+        }
+        syncExitHandlers();
+
+        let apply                      =   () => this.emit('reconfigured', { changed, transportsReplaced: false });
+        if (!changed.every(key => IN_PLACE_OPTIONS.includes(key))) 
+        {   // Hold back new entries until the new transports are open
+            this._pending              =   this._pending || [];
+            this._replacing           +=   1;
+            apply                      =   () => this._replaceTransports(changed);
+        }
+        this._reconfiguring            =   this._reconfiguring.then(apply, apply);
+        return this._reconfiguring;
+    }
+  
+    /**
+     * Drains and closes the current transports, then opens new ones for the
+     * current configuration. The entries held back meanwhile are written once
+     * the last queued replacement is done.
+     * @param {string[]} changed - Names of the changed options
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _replaceTransports(changed) 
+    {   try 
+        {   await closeWinstonLogger(this.logger);
+            this._ensureLogDirectory();
+            this.logger                =   this._createWinstonLogger();
+        }
+        finally 
+        {   this._replacing           -=   1;
+            if (this._replacing === 0) 
+            {   const pending          =   this._pending;
+                this._pending          =   null;
+                pending.forEach(entry => Promise.resolve(this._log(entry.level, entry.message, entry.meta)).then(entry.resolve, entry.reject));
+            }
+        }
+        this.emit('reconfigured', { changed, transportsReplaced: true });
+    }
+  
+    /**
+     * Error class thrown for invalid configuration
+     * @returns {Function} AppLoggerConfigError
+     */
+    static get AppLoggerConfigError() 
+    {   return configLoader.AppLoggerConfigError;
+    }
+  
+    /**
+     * Runs a function with context fields that are merged into every entry
+     * logged during its (async) execution, by any logger instance
+     * @param {Object} context - Context fields, merged over any active context
+     * @param {Function} fn - Function to run
+     * @returns {*} Return value of fn
+     */
+    static runWithContext(context, fn) 
+    {   return contextStorage.run({ ...AppLogger.getContext(), ...context }, fn);
+    }
+  
+    /**
+     * Adds fields to the active async context. Outside of runWithContext a
+     * new context is entered for the current execution and its continuations.
+     * @param {Object} fields - Context fields to set
+     */
+    static setContext(fields) 
+    {   const store                    =   contextStorage.getStore();
+        if (store) 
+        {   Object.assign(store, fields);
+        }
+        else 
+        {   contextStorage.enterWith({ ...fields });
+        }
+    }
+  
+    /**
+     * Create an HTTP request logging middleware for Express, Connect or
+     * bare `http.createServer` handlers
+     * @param {AppLogger} logger - Logger that receives the entries
+     * @param {Object} [options] - Middleware options
+     * @returns {Function} Middleware `(req, res, next)`
+     */
+    static middleware(logger, options) 
+    {   return createHttpMiddleware(logger, options);
+    }
+  
+    /**
+     * Set the global configuration used by AppLogger.get. Must be called
+     * before the first AppLogger.get (or after AppLogger.closeAll).
+     * @param {Object} [config] - Logger configuration shared by all routes
+     * @param {string} [config.name] - Route of the shared transports (file name), defaults to 'app'
+     * @param {Object} [config.routes] - Per-route overrides keyed by route
+     */
+    static configure(config = {}) 
+    {   if (registry.loggers.size > 0) 
+        {   throw new Error('AppLogger.configure() must be called before AppLogger.get(), call AppLogger.closeAll() first');
+        }
+        const { name = 'app', routes = {}, ...loggerConfig }   =   config;
+        registry.settings              =   { name, routes, loggerConfig };
+    }
+  
+    /**
+     * Get the cached logger for a route, creating it on first use.
+     * Loggers share the registry's transports unless their overrides change
+     * more than the level, in which case they get transports of their own.
+     * @param {string} route - The route/module name for the logger
+     * @param {Object} [overrides] - Per-route overrides, applied on first use only
+     * @returns {AppLogger} Logger for the route
+     */
+    static get(route, overrides = {}) 
+    {   if (registry.loggers.has(route)) 
+        {   return registry.loggers.get(route);
+        }
+
+        const { routes, name, loggerConfig }   =   registry.settings;
+        const routeConfig              =   { ...routes[route], ...overrides };
+        const { logTracelevel, ...outputConfig }   =   routeConfig;
+        let logger;
+
+        if (logTracelevel !== undefined) 
+        {   configLoader.reportProblems(configLoader.validateConfig({ logTracelevel }, configLoader.levelMap(loggerConfig, routeConfig), `route '${route}'`), true);
+        }
+
+        if (Object.keys(outputConfig).length > 0) 
+        {   logger                     =   new AppLogger(route, { ...loggerConfig, ...routeConfig });
+        }
+        else 
+        {   registry.shared            =   registry.shared || new AppLogger(name, loggerConfig);
+            logger                     =   registry.shared._derive(route, {}, logTracelevel || null);
+        }
+        registry.loggers.set(route, logger);
+        return logger;
+    }
+  
+    /**
+     * Set the level of all loggers whose route matches a pattern. Takes
+     * effect immediately on live loggers without recreating transports.
+     * @param {string} pattern - Route pattern, `*` matches any characters
+     * @param {string|null} level - Log level, or null to remove the rule
+     */
+    static setLevel(pattern, level) 
+    {   if (level !== null && !isKnownLevel(level)) 
+        {   throw new Error(`Unknown log level '${level}', expected one of: ${Object.keys(LOGGING_LEVELS.levels).join(', ')} or a custom level of an open logger`);
+        }
+        levelRules.rules               =   getLevelRules().filter(rule => rule.pattern !== pattern);
+        if (level !== null) 
+        {   levelRules.rules.push({ pattern, regex: compileRoutePattern(pattern), level });
+        }
+        levelRules.cache.clear();
+    }
+  
+    /**
+     * Replace all route level rules with a DEBUG-style pattern list, as
+     * read from APP_LOG_LEVEL at startup
+     * @param {string} spec - Patterns such as `*=info,sensor:*=debug,http=warn`
+     */
+    static setLevels(spec) 
+    {   levelRules.rules               =   parseLevelPatterns(spec);
+        levelRules.cache.clear();
+    }
+  
+    /**
+     * Flush and close all open loggers, including those created with
+     * `new AppLogger()`, and reset the registry
+     * @returns {Promise<void>}
+     */
+    static async closeAll() 
+    {   const open                     =   Array.from(instances);
+        registry.loggers.clear();
+        registry.shared                =   null;
+        await Promise.all(open.map(logger => logger.close()));
+    }
+  
+    /**
+     * Verify the hash chain of an audit log, including its rotated and
+     * gzipped files
+     * @param {string} file - Audit file as configured, e.g. './logs/api.audit.log'
+     * @param {string|Buffer} key - Key the audit entries were written with
+     * @param {Object} [options] - Verification options
+     * @param {boolean} [options.allowPruned] - Accept a chain whose oldest files retention removed
+     * @returns {Promise<Object>} `{ valid, entries, firstSeq, lastSeq, files, broken }`, broken
+     * holding `{ file, line, seq, reason }` of the first changed or missing entry
+     */
+    static verifyAuditLog(file, key, options = {}) 
+    {   return audit.verifyAuditLog(file, key, options);
+    }
+  
+    /**
+     * Get the active async context
+     * @returns {Object} Copy of the active context fields
+     */
+    static getContext() 
+    {   return { ...contextStorage.getStore() };
     }
 }
 
+// Custom levels must not shadow the logger's own members, methods or fields
+levelDefinitions.reserveNames(Object.getOwnPropertyNames(AppLogger.prototype).concat(Object.getOwnPropertyNames(EventEmitter.prototype), getInstanceFields()));
+
 module.exports                         =   AppLogger;
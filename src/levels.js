@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Log level definitions for the Application Logger Service
+ * @author Daniel S. A. Khan
+ * @copyright Daniel S. A. Khan (c) 2021-2025
+ * @description Built-in levels, custom level resolution and per-logger console colors
+ */
+
+/**
+ * Built-in logging levels and their console colors
+ */
+const DEFAULT_LEVELS                   =   {   levels: {   exception: 0,
+                                                           error: 1,
+                                                           warn: 2,
+                                                           info: 3,
+                                                           http: 4,
+                                                           trace: 5,
+                                                           debug: 6
+                                                       },
+                                               colors: {   exception: 'red bold',
+                                                           error: 'red',
+                                                           warn: 'yellow',
+                                                           info: 'green',
+                                                           http: 'magenta',
+                                                           trace: 'cyan',
+                                                           debug: 'blue'
+                                                       }
+                                           };
+
+/**
+ * ANSI open and close codes of the supported color and style names
+ */
+const STYLE_CODES                      =   {   bold: [1, 22],
+                                               dim: [2, 22],
+                                               italic: [3, 23],
+                                               underline: [4, 24],
+                                               inverse: [7, 27],
+                                               hidden: [8, 28],
+                                               strikethrough: [9, 29],
+                                               black: [30, 39],
+                                               red: [31, 39],
+                                               green: [32, 39],
+                                               yellow: [33, 39],
+                                               blue: [34, 39],
+                                               magenta: [35, 39],
+                                               cyan: [36, 39],
+                                               white: [37, 39],
+                                               gray: [90, 39],
+                                               grey: [90, 39],
+                                               bgBlack: [40, 49],
+                                               bgRed: [41, 49],
+                                               bgGreen: [42, 49],
+                                               bgYellow: [43, 49],
+                                               bgBlue: [44, 49],
+                                               bgMagenta: [45, 49],
+                                               bgCyan: [46, 49],
+                                               bgWhite: [47, 49]
+                                           };
+
+/**
+ * Valid custom level names, usable as method names
+ */
+const LEVEL_NAME                       =   /^[a-z][a-zA-Z0-9]*$/;
+
+/**
+ * Names that custom levels must not take because AppLogger uses them,
+ * filled in by the AppLogger module
+ */
+const reservedNames                    =   new Set();
+
+/**
+ * Reserves names custom levels must not take
+ * @param {string[]} names - Method and property names of AppLogger instances
+ */
+function reserveNames(names)
+{   names.filter(name => !(name in DEFAULT_LEVELS.levels)).forEach(name => reservedNames.add(name));
+}
+
+
+
+/**
+ * Checks a color specification of space separated color and style names
+ * @param {*} value - Color specification, e.g. 'bold red'
+ * @returns {boolean} True if every name is supported
+ */
+function isColor(value)
+{   return typeof value === 'string' && value.trim().length > 0 && value.trim().split(/\s+/).every(name => name in STYLE_CODES);
+}
+
+
+
+/**
+ * Checks custom level definitions
+ * @param {*} definitions - `{ name: priority }` or `{ name: { priority, color } }`
+ * @returns {string|null} Expectation when invalid, otherwise null
+ */
+function checkLevels(definitions)
+{   const expected                     =   'null or an object mapping level names to a priority (integer >= 0) or { priority, color }';
+    if (!definitions || typeof definitions !== 'object' || Array.isArray(definitions) || Object.keys(definitions).length === 0)
+    {   return expected;
+    }
+    for (const [name, definition] of Object.entries(definitions))
+    {   const { priority, color }      =   typeof definition === 'number' ? { priority: definition } : (definition || {});
+        if (!LEVEL_NAME.test(name) || reservedNames.has(name))
+        {   return `${expected}; '${name}' is not a usable level name`;
+        }
+        if (!Number.isInteger(priority) || priority < 0)
+        {   return `${expected}; level '${name}' has no valid priority`;
+        }
+        if (color !== undefined && !isColor(color))
+        {   return `${expected}; level '${name}' has an unknown color, use: ${Object.keys(STYLE_CODES).join(', ')}`;
+        }
+    }
+    return null;
+}
+
+
+
+/**
+ * Resolves the level map and colors of a logger
+ * @param {Object|null} definitions - Custom level definitions, see checkLevels
+ * @param {boolean} [replace] - Replace the built-in levels instead of extending them
+ * @returns {{levels: Object, colors: Object}} Level priorities and color specifications
+ */
+function resolveLevels(definitions, replace = false)
+{   const resolved                     =   replace && definitions
+                                               ? { levels: {}, colors: {} }
+                                               : { levels: { ...DEFAULT_LEVELS.levels }, colors: { ...DEFAULT_LEVELS.colors } };
+
+    for (const [name, definition] of Object.entries(definitions || {}))
+    {   const { priority, color }      =   typeof definition === 'number' ? { priority: definition } : definition;
+        resolved.levels[name]          =   priority;
+        resolved.colors[name]          =   color || resolved.colors[name] || 'white';
+    }
+    return resolved;
+}
+
+
+
+/**
+ * Wraps text in the ANSI codes of a color specification. Names apply from
+ * left to right, so 'red bold' renders like Winston's colorize.
+ * @param {string} text - Text to color
+ * @param {string} [color] - Color specification, text is returned as is when missing
+ * @returns {string} Colored text
+ */
+function colorize(text, color)
+{   if (!color)
+    {   return text;
+    }
+    return color.trim().split(/\s+/).reduce((result, name) =>
+    {   const [open, close]            =   STYLE_CODES[name];
+        return `\u001b[${open}m${result}\u001b[${close}m`;
+    }, text);
+}
+
+module.exports                         =   {   DEFAULT_LEVELS,
+                                               reserveNames,
+                                               checkLevels,
+                                               resolveLevels,
+                                               colorize
+                                           };
@@ -0,0 +1,443 @@
+/**
+ * @fileoverview Log file reading for the Application Logger Service
+ * @author Daniel S. A. Khan
+ * @copyright Daniel S. A. Khan (c) 2021-2025
+ * @description Parses text and JSON log files, plain or gzipped, for query and tail
+ */
+
+const fs                               =   require('fs');
+const readline                         =   require('readline');
+const zlib                             =   require('zlib');
+
+/**
+ * First line of a text entry: `timestamp | LEVEL | message...`
+ */
+const TEXT_ENTRY                       =   /^(.+?) \| +([A-Z][A-Z0-9]*) \| ?(.*)$/;
+
+/**
+ * Indentation of the stack lines rendered below text error entries
+ */
+const STACK_INDENT                     =   '    ';
+
+/**
+ * Default milliseconds between checks for new entries when following
+ */
+const FOLLOW_INTERVAL                  =   250;
+
+/**
+ * Converts a Date, date string or epoch milliseconds into epoch milliseconds
+ * @param {Date|string|number} value - Point in time
+ * @param {string} name - Option name for the error message
+ * @returns {number} Epoch milliseconds
+ */
+function toTime(value, name)
+{   const time                         =   value instanceof Date ? value.getTime() : (typeof value === 'number' ? value : Date.parse(value));
+    if (!Number.isFinite(time))
+    {   throw new Error(`Invalid ${name} '${value}', expected a Date, a date string or epoch milliseconds`);
+    }
+    return time;
+}
+
+
+
+/**
+ * Creates a parser for the timestamps of text entries. Locale timestamps are
+ * matched against the parts of the logger's own Intl.DateTimeFormat and
+ * interpreted in its time zone.
+ * @param {Object} config - Logger configuration
+ * @param {Object} dateOptions - Intl.DateTimeFormat options of locale timestamps
+ * @returns {Function} `(text) => Date|null`
+ */
+function createTimestampParser(config, dateOptions)
+{   if (config.timestampFormat === 'iso')
+    {   return text => (Number.isNaN(Date.parse(text)) ? null : new Date(text));
+    }
+    if (config.timestampFormat === 'epoch')
+    {   return text => (/^\d+$/.test(text) ? new Date(Number(text)) : null);
+    }
+
+    const options                      =   { ...dateOptions, ...(config.timeZone ? { timeZone: config.timeZone } : {}), ...(config.timestampMilliseconds ? { fractionalSecondDigits: 3 } : {}) };
+    const formatter                    =   new Intl.DateTimeFormat(config.dateLocale, options);
+    const clock                        =   new Intl.DateTimeFormat(config.dateLocale, { hour: 'numeric', hour12: true, timeZone: 'UTC' });
+    const periods                      =   [1, 13].map(hour => (clock.formatToParts(Date.UTC(2000, 0, 1, hour)).find(part => part.type === 'dayPeriod') || {}).value);
+    const fields                       =   [];
+    const source                       =   formatter.formatToParts(new Date(2000, 0, 1, 13)).map((part) =>
+    {   if (part.type === 'literal')
+        {   // format() writes plain spaces where formatToParts reports narrow no-break spaces
+            return part.value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s/g, '\\s');
+        }
+        fields.push(part.type);
+        return part.type === 'dayPeriod' ? '(\\S+)' : '(\\d+)';
+    }).join('');
+    const pattern                      =   new RegExp(`^${source}$`);
+    const zone                         =   config.timeZone ? new Intl.DateTimeFormat('en-US', { timeZone: config.timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric' }) : null;
+    const offsetAt = (time) =>
+    {   const parts                    =   Object.fromEntries(zone.formatToParts(time).map(part => [part.type, Number(part.value)]));
+        return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - (time - (time % 1000));
+    };
+
+    return (text) =>
+    {   const match                    =   pattern.exec(text);
+        if (!match)
+        {   return null;
+        }
+        const parts                    =   Object.fromEntries(fields.map((field, index) => [field, match[index + 1]]));
+        let hour                       =   Number(parts.hour) % 24;
+        if (parts.dayPeriod !== undefined)
+        {   hour                       =   (hour % 12) + (parts.dayPeriod === periods[1] ? 12 : 0);
+        }
+        const wallClock                =   [Number(parts.year), Number(parts.month) - 1, Number(parts.day), hour, Number(parts.minute), Number(parts.second), Number(parts.fractionalSecond || 0)];
+        if (!zone)
+        {   return new Date(...wallClock);
+        }
+        // Shift the wall clock time by the zone offset, twice to settle daylight saving changes
+        const guess                    =   Date.UTC(...wallClock);
+        return new Date(guess - offsetAt(guess - offsetAt(guess)));
+    };
+}
+
+
+
+/**
+ * Parses the `[key=value ...]` context prefix of a text entry
+ * @param {string} text - Text between the brackets
+ * @returns {Object} Context fields, JSON values are decoded
+ */
+function parseContext(text)
+{   const context                      =   {};
+    for (const [, key, value] of text.matchAll(/(\S+?)=(.*?)(?= \S+?=|$)/g))
+    {   try
+        {   context[key]               =   JSON.parse(value);
+        }
+        catch (error)
+        {   context[key]               =   value;
+        }
+    }
+    return context;
+}
+
+
+
+/**
+ * Parses the part of a text entry after its level: an optional `[route]`
+ * and `[key=value]` prefix, the message and the JSON data behind it
+ * @param {string} text - Text after the level column
+ * @param {string} ownerRoute - Route of entries without a route prefix
+ * @returns {Object} `{ route, context, message, data }`
+ */
+function parseTextBody(text, ownerRoute)
+{   const entry                        =   { route: ownerRoute };
+    let rest                           =   text;
+    let match                          =   /^\[([^\]\s=]+)\] /.exec(rest);
+    if (match)
+    {   entry.route                    =   match[1];
+        rest                           =   rest.slice(match[0].length);
+    }
+    match                              =   /^\[([^\]]*=[^\]]*)\] /.exec(rest);
+    if (match)
+    {   entry.context                  =   parseContext(match[1]);
+        rest                           =   rest.slice(match[0].length);
+    }
+    if (rest === '|' || rest.endsWith(' |'))
+    {   entry.message                  =   rest.slice(0, -2);
+        return entry;
+    }
+    // The message itself may contain ' | ', the data is the first remainder that is valid JSON
+    for (let index = rest.indexOf(' | '); index !== -1; index = rest.indexOf(' | ', index + 1))
+    {   try
+        {   entry.data                 =   JSON.parse(rest.slice(index + 3));
+            entry.message              =   rest.slice(0, index);
+            return entry;
+        }
+        catch (error)
+        {   // Not the data separator, keep looking
+        }
+    }
+    entry.message                      =   rest;
+    return entry;
+}
+
+
+
+/**
+ * Creates a parser turning the lines of a log file into entries. JSON lines,
+ * including audit lines, and text lines are told apart per line, so files
+ * written before a format change are read as well.
+ * @param {Object} settings - Parser settings
+ * @param {string} settings.route - Route of the logger owning the file
+ * @param {Object} settings.levels - Level priorities, to restore level names from the upper-cased text column
+ * @param {Function} settings.parseTimestamp - Parser of text timestamps, see createTimestampParser
+ * @returns {{push: Function, end: Function}} `push(line)` and `end()` return the entry completed by then, or null
+ */
+function createEntryParser({ route, levels, parseTimestamp })
+{   const levelNames                   =   new Map(Object.keys(levels).map(level => [level.toUpperCase(), level]));
+    let pending                        =   null;
+
+    const complete = (entry) =>
+    {   const done                     =   pending;
+        pending                        =   entry;
+        return done;
+    };
+
+    const parseJson = (line) =>
+    {   try
+        {   const record               =   JSON.parse(line);
+            const source               =   record && record.entry && record.seq !== undefined ? record.entry : record;
+            if (!source || typeof source.level !== 'string')
+            {   return null;
+            }
+            const entry                =   {   timestamp: source.timestamp === undefined ? null : new Date(source.timestamp),
+                                               level: source.level,
+                                               route: source.route === undefined ? route : source.route,
+                                               message: source.message
+                                           };
+            if (source.context !== undefined)
+            {   entry.context          =   source.context;
+            }
+            if (source.data !== undefined)
+            {   entry.data             =   source.data;
+            }
+            if (source !== record)
+            {   entry.seq              =   record.seq;
+            }
+            return entry;
+        }
+        catch (error)
+        {   return null;
+        }
+    };
+
+    return {   push(line)
+               {   if (pending && line.startsWith(STACK_INDENT))
+                   {   pending.stack       =   pending.stack === undefined ? line.slice(STACK_INDENT.length) : `${pending.stack}\n${line.slice(STACK_INDENT.length)}`;
+                       return null;
+                   }
+                   if (line.startsWith('{'))
+                   {   const entry         =   parseJson(line);
+                       return entry ? complete(entry) : null;
+                   }
+                   const match             =   TEXT_ENTRY.exec(line);
+                   if (!match)
+                   {   return null;
+                   }
+                   return complete({   timestamp: parseTimestamp(match[1]),
+                                       level: levelNames.get(match[2]) || match[2].toLowerCase(),
+                                       ...parseTextBody(match[3], route)
+                                   });
+               },
+               end()
+               {   return complete(null);
+               }
+           };
+}
+
+
+
+/**
+ * Creates the filter of query and tail
+ * @param {Object} options - Filter options
+ * @param {Date|string|number} [options.from] - Earliest timestamp
+ * @param {Date|string|number} [options.to] - Latest timestamp
+ * @param {string|string[]} [options.level] - A level and everything more severe, or a list of levels
+ * @param {string|RegExp} [options.route] - Route, or a pattern routes must match
+ * @param {string|RegExp} [options.text] - Case-insensitive text, or a pattern, found in the message or data
+ * @param {Object} levels - Level priorities of the logger
+ * @returns {Function} `(entry) => boolean`
+ */
+function createEntryFilter({ from, to, level, route, text }, levels)
+{   const start                        =   from === undefined ? null : toTime(from, 'from');
+    const end                          =   to === undefined ? null : toTime(to, 'to');
+    const wanted                       =   level === undefined ? null : [].concat(level);
+    const needle                       =   typeof text === 'string' ? text.toLowerCase() : null;
+
+    for (const name of wanted || [])
+    {   if (!(name in levels))
+        {   throw new Error(`Unknown log level '${name}', expected one of: ${Object.keys(levels).join(', ')}`);
+        }
+    }
+
+    return (entry) =>
+    {   const time                     =   entry.timestamp ? entry.timestamp.getTime() : NaN;
+        if ((start !== null && !(time >= start)) || (end !== null && !(time <= end)))
+        {   return false;
+        }
+        if (wanted && (Array.isArray(level) ? !wanted.includes(entry.level) : !(levels[entry.level] <= levels[level])))
+        {   return false;
+        }
+        if (route !== undefined && (route instanceof RegExp ? !route.test(entry.route) : entry.route !== route))
+        {   return false;
+        }
+        if (text !== undefined)
+        {   const haystack             =   entry.data === undefined ? String(entry.message) : `${entry.message} ${JSON.stringify(entry.data)}`;
+            return needle !== null ? haystack.toLowerCase().includes(needle) : text.test(haystack);
+        }
+        return true;
+    };
+}
+
+
+
+/**
+ * Reads the entries of a plain or gzipped log file
+ * @param {string} file - File to read
+ * @param {Object} parser - Entry parser, see createEntryParser
+ * @param {number} [end] - Read plain files only up to this byte offset
+ * @returns {AsyncGenerator<Object>} Entries in file order
+ */
+async function* readEntries(file, parser, end)
+{   const source                       =   fs.createReadStream(file, end === undefined ? {} : { end: end - 1 });
+    const input                        =   file.endsWith('.gz') ? source.pipe(zlib.createGunzip()) : source;
+
+    if (input !== source)
+    {   source.on('error', error => input.destroy(error));
+    }
+    yield* parseStream(input, parser);
+}
+
+
+
+/**
+ * Reads the entries of a stream of log lines, such as piped stdin
+ * @param {Object} input - Readable stream of log lines
+ * @param {Object} parser - Entry parser, see createEntryParser
+ * @returns {AsyncGenerator<Object>} Entries in stream order
+ */
+async function* parseStream(input, parser)
+{   const lines                        =   readline.createInterface({ input, crlfDelay: Infinity });
+    for await (const line of lines)
+    {   const entry                    =   parser.push(line);
+        if (entry)
+        {   yield entry;
+        }
+    }
+    const last                         =   parser.end();
+    if (last)
+    {   yield last;
+    }
+}
+
+
+
+/**
+ * Reads the matching entries of log files
+ * @param {string[]} files - Files oldest first
+ * @param {Object} options - Query options
+ * @param {Function} options.filter - Entry filter, see createEntryFilter
+ * @param {Function} options.createParser - Returns a fresh entry parser
+ * @param {number} [options.limit] - Return only the most recent matches
+ * @param {Object} [options.ends] - Byte offsets to stop reading at, by file
+ * @returns {Promise<Object[]>} Matching entries, oldest first
+ */
+async function queryFiles(files, { filter, createParser, limit, ends = {} })
+{   const entries                      =   [];
+    if (limit === 0)
+    {   return entries;
+    }
+    for (const file of files)
+    {   if (ends[file] === 0 || !fs.existsSync(file))
+        {   continue;
+        }
+        for await (const entry of readEntries(file, createParser(), ends[file]))
+        {   if (filter(entry))
+            {   entries.push(entry);
+                if (limit !== undefined && entries.length > limit)
+                {   entries.shift();
+                }
+            }
+        }
+    }
+    return entries;
+}
+
+
+
+/**
+ * Waits for an interval, ending early when the signal aborts
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} [signal] - Signal ending the wait
+ * @returns {Promise<void>}
+ */
+function pause(ms, signal)
+{   return new Promise((resolve) =>
+    {   const done = () =>
+        {   clearTimeout(timer);
+            if (signal)
+            {   signal.removeEventListener('abort', done);
+            }
+            resolve();
+        };
+        const timer                    =   setTimeout(done, ms);
+        if (signal)
+        {   signal.addEventListener('abort', done, { once: true });
+        }
+    });
+}
+
+
+
+/**
+ * Follows the current log file of a logger, switching to the next file
+ * after a rotation, and yields entries as they are appended
+ * @param {Object} options - Follow options
+ * @param {Function} options.currentFile - Returns the file currently written
+ * @param {string} options.file - File to start in
+ * @param {number} options.offset - Byte offset to start at
+ * @param {Function} options.filter - Entry filter, see createEntryFilter
+ * @param {Function} options.createParser - Returns a fresh entry parser
+ * @param {Function} options.active - Returns false once following must end
+ * @param {number} [options.interval] - Milliseconds between checks for new entries
+ * @param {AbortSignal} [options.signal] - Signal ending the iteration
+ * @returns {AsyncGenerator<Object>} Appended entries
+ */
+async function* followFile({ currentFile, file, offset, filter, createParser, active, interval = FOLLOW_INTERVAL, signal })
+{   let remainder                      =   Buffer.alloc(0);
+    while (active() && !(signal && signal.aborted))
+    {   const stats                    =   await fs.promises.stat(file).catch(() => null);
+        const size                     =   stats ? stats.size : 0;
+        if (size < offset)
+        {   // The file was truncated or replaced, start over
+            offset                     =   0;
+            remainder                  =   Buffer.alloc(0);
+        }
+        if (size > offset)
+        {   const handle               =   await fs.promises.open(file, 'r');
+            const chunk                =   Buffer.alloc(size - offset);
+            try
+            {   await handle.read(chunk, 0, chunk.length, offset);
+            }
+            finally
+            {   await handle.close();
+            }
+            offset                     =   size;
+            const data                 =   Buffer.concat([remainder, chunk]);
+            const complete             =   data.lastIndexOf(0x0a) + 1;
+            const parser               =   createParser();
+            remainder                  =   data.subarray(complete);
+            // Entries are written whole, so everything up to the last newline is complete
+            const lines                =   data.subarray(0, complete).toString('utf8').split('\n').slice(0, -1);
+            for (const entry of lines.map(line => parser.push(line)).concat(parser.end()))
+            {   if (entry && filter(entry))
+                {   yield entry;
+                }
+            }
+            continue;
+        }
+        const next                     =   currentFile();
+        if (next !== file)
+        {   file                       =   next;
+            offset                     =   0;
+            remainder                  =   Buffer.alloc(0);
+            continue;
+        }
+        await pause(interval, signal);
+    }
+}
+
+module.exports                         =   {   createTimestampParser,
+                                               createEntryParser,
+                                               createEntryFilter,
+                                               readEntries,
+                                               parseStream,
+                                               queryFiles,
+                                               followFile
+                                           };
@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Sensitive field redaction for the Application Logger Service
+ * @author Daniel S. A. Khan
+ * @copyright Daniel S. A. Khan (c) 2021-2025
+ * @description Censors configured keys, paths and value patterns in serialized payloads
+ */
+
+const crypto                           =   require('crypto');
+
+/**
+ * Default redaction options
+ */
+const DEFAULT_REDACT                   =   {   paths: [],
+                                               patterns: [],
+                                               censor: '[REDACTED]',
+                                               hash: false
+                                           };
+
+/**
+ * Splits a path into lower-cased segments
+ * @param {string} rule - Key name or dotted path, `*` matches any single key
+ * @returns {string[]} Path segments
+ */
+function parsePath(rule)
+{   return String(rule).toLowerCase().split('.');
+}
+
+
+
+/**
+ * Checks whether a key path matches a redaction rule. Rules with a single
+ * segment match that key at any depth, dotted rules match from the root.
+ * @param {string[]} rule - Rule segments
+ * @param {string[]} keyPath - Lower-cased key path of the value
+ * @returns {boolean} True if the value must be censored
+ */
+function matchesPath(rule, keyPath)
+{   if (rule.length === 1)
+    {   return rule[0] === '*' || rule[0] === keyPath[keyPath.length - 1];
+    }
+    return rule.length === keyPath.length && rule.every((segment, index) => segment === '*' || segment === keyPath[index]);
+}
+
+
+
+/**
+ * Creates a redaction function for the given options
+ * @param {Object|null} options - Redaction options
+ * @param {string[]} [options.paths] - Key names or dotted/wildcard paths to censor
+ * @param {RegExp[]} [options.patterns] - Patterns censored inside string values
+ * @param {string|Function} [options.censor] - Replacement string or `(value, path) => replacement`
+ * @param {boolean} [options.hash] - Replace with a SHA-256 digest prefix instead of the censor
+ * @returns {Function|null} `(value) => redactedValue`, or null when redaction is off
+ */
+function createRedactor(options)
+{   if (!options)
+    {   return null;
+    }
+
+    const settings                     =   { ...DEFAULT_REDACT, ...options };
+    const rules                        =   settings.paths.map(parsePath);
+    const patterns                     =   settings.patterns.map(pattern => new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`));
+
+    const censor = (value, keyPath) =>
+    {   if (settings.hash)
+        {   const digest               =   crypto.createHash('sha256').update(typeof value === 'string' ? value : JSON.stringify(value) || '').digest('hex');
+            return `[sha256:${digest.slice(0, 16)}]`;
+        }
+        return typeof settings.censor === 'function' ? settings.censor(value, keyPath.join('.')) : settings.censor;
+    };
+
+    const redactValue = (value, keyPath) =>
+    {   if (keyPath.length > 0 && rules.some(rule => matchesPath(rule, keyPath.map(key => key.toLowerCase()))))
+        {   return censor(value, keyPath);
+        }
+        if (typeof value === 'string')
+        {   return patterns.reduce((result, pattern) => result.replace(pattern, match => censor(match, keyPath)), value);
+        }
+        if (Array.isArray(value))
+        {   return value.map((item, index) => redactValue(item, keyPath.concat(String(index))));
+        }
+        if (value && typeof value === 'object')
+        {   const result               =   {};
+            for (const key of Object.keys(value))
+            {   result[key]            =   redactValue(value[key], keyPath.concat(key));
+            }
+            for (const symbol of Object.getOwnPropertySymbols(value))
+            {   Object.defineProperty(result, symbol, { value: value[symbol] });
+            }
+            return result;
+        }
+        return value;
+    };
+
+    return (value) => redactValue(value, []);
+}
+
+module.exports                         =   {   createRedactor
+                                           };
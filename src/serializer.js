@@ -0,0 +1,325 @@
+/**
+ * @fileoverview Payload serialization for the Application Logger Service
+ * @author Daniel S. A. Khan
+ * @copyright Daniel S. A. Khan (c) 2021-2025
+ * @description Converts logged payloads into plain JSON-safe values
+ */
+
+/**
+ * Marks serialized Error records so formatters can render them specially
+ */
+const ERROR_RECORD                     =   Symbol('appLoggerErrorRecord');
+
+/**
+ * Standard Error properties handled explicitly by serializeError
+ */
+const ERROR_FIELDS                     =   ['name', 'message', 'stack', 'code', 'cause', 'errors'];
+
+/**
+ * Default serialization limits
+ */
+const DEFAULT_LIMITS                   =   {   maxDepth: 10,
+                                               maxArrayLength: 100,
+                                               maxStringLength: 10000,
+                                               maxPayloadBytes: 65536
+                                           };
+
+/**
+ * Converts an Error into a plain record with name, message, code, custom
+ * enumerable properties, stack and recursively serialized cause / errors
+ * @param {Error} error - Error to serialize
+ * @param {Object} state - Serialization state (seen objects and limits)
+ * @param {number} depth - Nesting depth of the error
+ * @returns {Object} Serialized error record
+ */
+function serializeError(error, state, depth)
+{   const record                       =   {   name: serializeValue(error.name, state, depth + 1),
+                                               message: serializeValue(error.message, state, depth + 1)
+                                           };
+
+    if (error.code !== undefined)
+    {   record.code                    =   serializeValue(error.code, state, depth + 1);
+    }
+    for (const key of Object.keys(error))
+    {   if (!ERROR_FIELDS.includes(key))
+        {   record[key]                =   serializeProperty(error, key, state, depth + 1);
+        }
+    }
+    if (error.stack)
+    {   record.stack                   =   serializeValue(String(error.stack), state, depth + 1);
+    }
+    if (error.cause !== undefined)
+    {   record.cause                   =   serializeValue(error.cause, state, depth + 1);
+    }
+    if (Array.isArray(error.errors))
+    {   record.errors                  =   serializeArray(error.errors, state, depth);
+    }
+
+    Object.defineProperty(record, ERROR_RECORD, { value: true });
+    return record;
+}
+
+
+
+/**
+ * Serializes an array-like list, enforcing maxArrayLength
+ * @param {Array} list - Items to serialize
+ * @param {Object} state - Serialization state
+ * @param {number} depth - Nesting depth of the list
+ * @returns {Array} Serialized items, with a marker when truncated
+ */
+function serializeArray(list, state, depth)
+{   const { maxArrayLength }           =   state.limits;
+    const result                       =   list.slice(0, maxArrayLength).map(item => serializeValue(item, state, depth + 1));
+
+    if (list.length > maxArrayLength)
+    {   result.push(`[... ${list.length - maxArrayLength} more items]`);
+    }
+    return result;
+}
+
+
+
+/**
+ * Reads and serializes a single property, guarding against throwing getters
+ * @param {Object} source - Object holding the property
+ * @param {string} key - Property name
+ * @param {Object} state - Serialization state
+ * @param {number} depth - Nesting depth of the property value
+ * @returns {*} Serialized property value
+ */
+function serializeProperty(source, key, state, depth)
+{   try
+    {   return serializeValue(source[key], state, depth);
+    }
+    catch (error)
+    {   return `[Unserializable: ${error && error.message}]`;
+    }
+}
+
+
+
+/**
+ * Shortens a string to the maximum length, noting how much was cut
+ * @param {string} value - String to shorten
+ * @param {number} maxStringLength - Longest string kept whole
+ * @returns {string} The string, or its start and a truncation marker
+ */
+function truncateString(value, maxStringLength)
+{   return value.length > maxStringLength ? `${value.slice(0, maxStringLength)}... [truncated ${value.length - maxStringLength} chars]` : value;
+}
+
+
+
+/**
+ * Shortens every string of a serialized value, keeping the symbol keys that
+ * mark error records
+ * @param {*} value - Serialized value
+ * @param {number} maxStringLength - Longest string kept whole
+ * @returns {*} Copy of the value with shortened strings
+ */
+function truncateStrings(value, maxStringLength)
+{   if (typeof value === 'string')
+    {   return truncateString(value, maxStringLength);
+    }
+    if (Array.isArray(value))
+    {   return value.map(item => truncateStrings(item, maxStringLength));
+    }
+    if (value && typeof value === 'object')
+    {   const result                   =   {};
+        for (const key of Object.keys(value))
+        {   result[key]                =   truncateStrings(value[key], maxStringLength);
+        }
+        for (const symbol of Object.getOwnPropertySymbols(value))
+        {   Object.defineProperty(result, symbol, { value: value[symbol] });
+        }
+        return result;
+    }
+    return value;
+}
+
+
+
+/**
+ * Serializes values that are not plain objects or arrays
+ * @param {*} value - Value to serialize
+ * @param {Object} state - Serialization state
+ * @returns {*} Serialized value
+ */
+function serializePrimitive(value, state)
+{   const { maxStringLength }          =   state.limits;
+
+    switch (typeof value)
+    {   case 'string':
+            return truncateString(value, maxStringLength);
+        case 'bigint':
+            return value.toString();
+        case 'symbol':
+            return value.toString();
+        case 'function':
+            return `[Function: ${value.name || 'anonymous'}]`;
+        case 'number':
+            return Number.isFinite(value) ? value : String(value);
+        default:
+            return value;
+    }
+}
+
+
+
+/**
+ * Recursively converts a value into a JSON-safe value. Errors are serialized
+ * at any depth, cycles are replaced with a marker, BigInt, Map, Set, Buffer
+ * and Date are converted and the configured limits are enforced.
+ * @param {*} value - Value to serialize
+ * @param {Object} state - Serialization state (seen objects and limits)
+ * @param {number} depth - Nesting depth of the value
+ * @returns {*} Serialized value
+ */
+function serializeValue(value, state, depth)
+{   if (value === null || typeof value !== 'object')
+    {   return serializePrimitive(value, state);
+    }
+    if (state.seen.has(value))
+    {   return '[Circular]';
+    }
+    if (value instanceof Date)
+    {   return Number.isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString();
+    }
+    if (Buffer.isBuffer(value))
+    {   const bytes                    =   (value.subarray(0, state.limits.maxArrayLength).toString('hex').match(/../g) || []);
+        if (value.length > bytes.length)
+        {   bytes.push(`... ${value.length - bytes.length} more bytes`);
+        }
+        return `<Buffer${bytes.map(byte => ` ${byte}`).join('')}>`;
+    }
+    if (depth >= state.limits.maxDepth)
+    {   return Array.isArray(value) ? '[Array]' : `[${value instanceof Error ? value.name : 'Object'}]`;
+    }
+
+    state.seen.add(value);
+    let result;
+    if (value instanceof Error)
+    {   result                         =   serializeError(value, state, depth);
+    }
+    else if (Array.isArray(value))
+    {   result                         =   serializeArray(value, state, depth);
+    }
+    else if (value instanceof Set)
+    {   result                         =   serializeArray(Array.from(value), state, depth);
+    }
+    else if (value instanceof Map)
+    {   result                         =   {};
+        for (const [key, item] of value)
+        {   const name                 =   typeof key === 'string' ? key : JSON.stringify(serializeValue(key, state, depth + 1));
+            result[name]               =   serializeValue(item, state, depth + 1);
+        }
+    }
+    else if (typeof value.toJSON === 'function')
+    {   result                         =   serializeValue(value.toJSON(), state, depth);
+    }
+    else
+    {   result                         =   {};
+        for (const key of Object.keys(value))
+        {   result[key]                =   serializeProperty(value, key, state, depth + 1);
+        }
+    }
+    state.seen.delete(value);
+    return result;
+}
+
+
+
+/**
+ * Serializes a logged payload without mutating it. Never throws: payloads
+ * that cannot be serialized are replaced with a marker string. Redaction
+ * runs before strings are shortened, so value patterns see whole strings,
+ * and before the size check, so the preview of an oversized payload never
+ * shows a censored value.
+ * @param {*} payload - The `obj` argument passed to a log method
+ * @param {Object} [limits] - Limits on depth, array length, string length and payload bytes
+ * @param {Function|null} [redact] - Redactor applied to the serialized payload
+ * @returns {*} JSON-safe copy of the payload
+ */
+function serializePayload(payload, limits = {}, redact = null)
+{   const settings                     =   { ...DEFAULT_LIMITS, ...limits };
+    // With redaction strings are shortened afterwards, a secret cut in half would no longer match its pattern
+    const state                        =   {   seen: new WeakSet(),
+                                               limits: redact ? { ...settings, maxStringLength: Infinity } : settings
+                                           };
+
+    try
+    {   const serialized               =   serializeValue(payload, state, 0);
+        const result                   =   redact ? truncateStrings(redact(serialized), settings.maxStringLength) : serialized;
+        const json                     =   JSON.stringify(result);
+        const bytes                    =   json === undefined ? 0 : Buffer.byteLength(json);
+
+        if (bytes > settings.maxPayloadBytes)
+        {   return {   truncated: `[Payload of ${bytes} bytes exceeds limit of ${settings.maxPayloadBytes} bytes]`,
+                       preview: Buffer.from(json).subarray(0, settings.maxPayloadBytes).toString()
+                   };
+        }
+        return result;
+    }
+    catch (error)
+    {   return `[Unserializable: ${error && error.message}]`;
+    }
+}
+
+
+
+/**
+ * Checks whether a serialized value is an Error record
+ * @param {*} value - Serialized value
+ * @returns {boolean} True for records produced from an Error
+ */
+function isErrorRecord(value)
+{   return Boolean(value && value[ERROR_RECORD]);
+}
+
+
+
+/**
+ * Renders the stack of an Error record including its cause chain and
+ * aggregated errors as indented lines for text output
+ * @param {Object} record - Serialized error record
+ * @param {string} [indent] - Indentation for the rendered lines
+ * @returns {string} Multi-line stack rendering
+ */
+function formatErrorStack(record, indent = '    ')
+{   const header                       =   record.stack || `${record.name}: ${record.message}`;
+    const lines                        =   header.split('\n').map((line, index) => `${indent}${index > 0 ? '    ' : ''}${line.trim()}`);
+
+    if (Array.isArray(record.errors))
+    {   record.errors.forEach((item, index) =>
+        {   if (isErrorRecord(item))
+            {   lines.push(`${indent}[errors.${index}]`, formatErrorStack(item, `${indent}    `));
+            }
+        });
+    }
+    if (isErrorRecord(record.cause))
+    {   const cause                    =   formatErrorStack(record.cause, indent);
+        lines.push(`${indent}Caused by: ${cause.trimStart()}`);
+    }
+    return lines.join('\n');
+}
+
+
+
+/**
+ * Strips stack, cause and errors from a top-level Error record, since
+ * formatErrorStack renders them below the entry in text output
+ * @param {Object} record - Top-level error record
+ * @returns {Object} Record without stack, cause and errors
+ */
+function summarizeErrorRecord(record)
+{   const { stack, cause, errors, ...summary } = record;
+    return summary;
+}
+
+module.exports                         =   {   DEFAULT_LIMITS,
+                                               serializePayload,
+                                               isErrorRecord,
+                                               formatErrorStack,
+                                               summarizeErrorRecord
+                                           };
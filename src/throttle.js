@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Flood protection for the Application Logger Service
+ * @author Daniel S. A. Khan
+ * @copyright Daniel S. A. Khan (c) 2021-2025
+ * @description Rate limits, samples and deduplicates entries, summarizing what was left out
+ */
+
+/**
+ * Default throttle options
+ */
+const DEFAULT_THROTTLE                 =   {   rateLimit: {},
+                                               perMessage: true,
+                                               sample: {},
+                                               dedupe: false,
+                                               exempt: ['exception']
+                                           };
+
+/**
+ * Buckets kept before full ones are dropped, they behave like new buckets
+ */
+const MAX_BUCKETS                      =   10000;
+
+/**
+ * Windows kept before the least recently used one is closed early, with its summary
+ */
+const MAX_WINDOWS                      =   10000;
+
+/**
+ * Formats a window length for summaries
+ * @param {number} ms - Milliseconds
+ * @returns {string} Duration such as '60s' or '1.5s'
+ */
+function formatWindow(ms)
+{   return `${Number((ms / 1000).toFixed(1))}s`;
+}
+
+
+
+/**
+ * Creates the flood protection of a logger. Entries of exempt levels always
+ * pass. Other entries are sampled first, then repeats of an entry within the
+ * dedupe window are collapsed, then token buckets limit the rate per level,
+ * or per level and message. Repeats and rate-limited entries are counted and
+ * written as one summary entry when their window ends. At most MAX_WINDOWS
+ * windows are open, a flood of distinct messages closes the least recently
+ * used ones early.
+ * @param {Object|null} options - Throttle options
+ * @param {Object} [options.rateLimit] - `{ level: { limit, interval } }`, `'*'` for every other level: at most
+ * `limit` entries at once, refilled at `limit` per `interval` milliseconds
+ * @param {boolean} [options.perMessage] - One bucket per level and message instead of per level
+ * @param {Object} [options.sample] - `{ level: n }` keeps one in n entries of a level
+ * @param {number|false} [options.dedupe] - Milliseconds repeats of an entry are collapsed for
+ * @param {string[]} [options.exempt] - Levels never throttled
+ * @param {Function} write - `(level, route, message, data)` writes a summary entry
+ * @returns {Object|null} `{ accept(level, route, message), flush() }`, or null when throttling is off
+ */
+function createThrottle(options, write)
+{   if (!options)
+    {   return null;
+    }
+
+    const settings                     =   { ...DEFAULT_THROTTLE, ...options };
+    const exempt                       =   new Set(settings.exempt);
+    const samples                      =   new Map();
+    const buckets                      =   new Map();
+    const windows                      =   new Map();
+    let sweepTimer                     =   null;
+    let sweepAt                        =   Infinity;
+
+    // Writes the summary of a window, if anything was left out, and forgets the window
+    const close = (key) =>
+    {   const window                   =   windows.get(key);
+        windows.delete(key);
+        if (window.count === 0)
+        {   return;
+        }
+        const span                     =   formatWindow(window.length);
+        const summary                  =   window.reason === 'repeated'
+                                               ? `Message repeated ${window.count} times in ${span}: ${window.message}`
+                                               : `Rate limit dropped ${window.count} ${window.level} entries in ${span}${settings.perMessage ? `: ${window.message}` : ''}`;
+        write(window.level, window.route, summary, { [window.reason]: window.count, interval: window.length });
+    };
+
+    // Closes the windows that have ended, one timer serves all of them
+    const sweep = () =>
+    {   const now                      =   Date.now();
+        let next                       =   Infinity;
+        sweepTimer                     =   null;
+        sweepAt                        =   Infinity;
+        windows.forEach((window, id) => (window.ends <= now ? close(id) : (next = Math.min(next, window.ends))));
+        schedule(next);
+    };
+
+    // Makes the sweep run by the given time
+    const schedule = (time) =>
+    {   if (time < sweepAt)
+        {   clearTimeout(sweepTimer);
+            sweepAt                    =   time;
+            sweepTimer                 =   setTimeout(sweep, Math.max(0, time - Date.now()));
+            sweepTimer.unref();
+        }
+    };
+
+    // Returns an open window, marking it as the most recently used
+    const findWindow = (id) =>
+    {   const window                   =   windows.get(id);
+        if (window)
+        {   windows.delete(id);
+            windows.set(id, window);
+        }
+        return window;
+    };
+
+    // Returns the window counting left out entries, opening it if needed; it ends with a summary
+    const openWindow = (id, reason, length, level, route, message) =>
+    {   const open                     =   findWindow(id);
+        if (open)
+        {   return open;
+        }
+        if (windows.size >= MAX_WINDOWS)
+        {   // Maps keep insertion order, the first window is the least recently used
+            close(windows.keys().next().value);
+        }
+        const window                   =   { reason, length, level, route, message, count: 0, ends: Date.now() + length };
+        windows.set(id, window);
+        schedule(window.ends);
+        return window;
+    };
+
+    // Refills a bucket for the time passed since it was last used
+    const refill = (bucket, now) =>
+    {   bucket.tokens                  =   Math.min(bucket.limit.limit, bucket.tokens + (((now - bucket.updated) * bucket.limit.limit) / bucket.limit.interval));
+        bucket.updated                 =   now;
+        return bucket;
+    };
+
+    // Takes a token from the bucket of an entry
+    const takeToken = (limit, key, now) =>
+    {   if (buckets.size >= MAX_BUCKETS && !buckets.has(key))
+        {   buckets.forEach((bucket, name) => (refill(bucket, now).tokens >= bucket.limit.limit ? buckets.delete(name) : null));
+        }
+        const bucket                   =   refill(buckets.get(key) || { tokens: limit.limit, updated: now, limit }, now);
+        buckets.set(key, bucket);
+        if (bucket.tokens < 1)
+        {   return false;
+        }
+        bucket.tokens                 -=   1;
+        return true;
+    };
+
+    return {   accept(level, route, message)
+               {   if (exempt.has(level))
+                   {   return true;
+                   }
+                   const every         =   settings.sample[level];
+                   if (every > 1)
+                   {   const seen      =   samples.get(level) || 0;
+                       samples.set(level, seen + 1);
+                       if (seen % every !== 0)
+                       {   return false;
+                       }
+                   }
+
+                   const key           =   `${level}\u0000${route}\u0000${message}`;
+                   if (settings.dedupe)
+                   {   // The first entry is written, repeats within the window are counted
+                       const repeats   =   findWindow(`repeated\u0000${key}`);
+                       if (repeats)
+                       {   repeats.count  +=   1;
+                           return false;
+                       }
+                       openWindow(`repeated\u0000${key}`, 'repeated', settings.dedupe, level, route, message);
+                   }
+
+                   const limit         =   settings.rateLimit[level] || settings.rateLimit['*'];
+                   const bucketKey     =   settings.perMessage ? key : level;
+                   if (limit && !takeToken(limit, bucketKey, Date.now()))
+                   {   openWindow(`dropped\u0000${bucketKey}`, 'dropped', limit.interval, level, route, message).count += 1;
+                       return false;
+                   }
+                   return true;
+               },
+               flush()
+               {   Array.from(windows.keys()).forEach(close);
+                   clearTimeout(sweepTimer);
+                   sweepTimer          =   null;
+                   sweepAt             =   Infinity;
+               }
+           };
+}
+
+module.exports                         =   {   DEFAULT_THROTTLE,
+                                               createThrottle
+                                           };
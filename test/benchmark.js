@@ -0,0 +1,53 @@
+/**
+ * Throughput benchmark for @home-env/app-logger
+ * Compares direct writing with buffered writing.
+ * Run with: node test/benchmark.js [entries]
+ */
+
+const AppLogger = require('../src/index.js');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const entries = Number(process.argv[2]) || 20000;
+const logPath = fs.mkdtempSync(path.join(os.tmpdir(), 'app-logger-bench-'));
+
+const modes = [
+  { name: 'direct', config: {} },
+  { name: 'buffered', config: { buffer: { size: 500, interval: 100, maxEntries: entries } } },
+  { name: 'direct, json', config: { format: 'json' } },
+  { name: 'buffered, json', config: { format: 'json', buffer: { size: 500, interval: 100, maxEntries: entries } } }
+];
+
+// Logs `entries` sensor readings, timing the calls alone and until everything is on disk
+async function measure({ name, config }) {
+  const logger = new AppLogger(`bench-${name.replace(/\W+/g, '-')}`, { logPath, consoleOutput: 'off', ...config });
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < entries; i++) {
+    logger.info('Sensor reading', { sensor: 'dht22', temperature: 21.5, humidity: 40 + (i % 10) });
+  }
+  const called = process.hrtime.bigint();
+  await logger.flush();
+  const written = process.hrtime.bigint();
+  await logger.close();
+
+  const callMs = Number(called - start) / 1e6;
+  const totalMs = Number(written - start) / 1e6;
+  return { name, callMs, totalMs };
+}
+
+async function run() {
+  console.log(`Logging ${entries} entries per mode to ${logPath}\n`);
+  console.log('mode              calls (ms)  entries/s in calls  total (ms)  entries/s total');
+  for (const mode of modes) {
+    const { name, callMs, totalMs } = await measure(mode);
+    const perSecond = ms => Math.round(entries / (ms / 1000)).toLocaleString('en-US');
+    console.log(`${name.padEnd(16)}  ${callMs.toFixed(0).padStart(10)}  ${perSecond(callMs).padStart(18)}  ${totalMs.toFixed(0).padStart(10)}  ${perSecond(totalMs).padStart(15)}`);
+  }
+  fs.rmSync(logPath, { recursive: true, force: true });
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
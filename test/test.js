@@ -4,7 +4,46 @@
  */
 
 const AppLogger = require('../src/index.js');
+const assert = require('assert');
+const { spawn } = require('child_process');
+const EventEmitter = require('events');
+const fs = require('fs');
+const http = require('http');
 const path = require('path');
+const zlib = require('zlib');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Runs a script in a child process, optionally sending a signal once it prints 'ready'
+const runScript = (script, signal) => new Promise((resolve) => {
+  const child = spawn(process.execPath, ['-e', script], { cwd: path.join(__dirname, '..') });
+  child.stdout.on('data', (chunk) => {
+    if (signal && chunk.toString().includes('ready')) {
+      child.kill(signal);
+    }
+  });
+  child.on('exit', code => resolve(code));
+});
+
+// Node 14 has no AbortController; following only needs aborted and the abort listeners
+const createAbortController = () => {
+  if (typeof AbortController === 'function') {
+    return new AbortController();
+  }
+  const listeners = new Set();
+  const signal = {
+    aborted: false,
+    addEventListener: (type, listener) => listeners.add(listener),
+    removeEventListener: (type, listener) => listeners.delete(listener)
+  };
+  return {
+    signal,
+    abort: () => {
+      signal.aborted = true;
+      listeners.forEach(listener => listener());
+    }
+  };
+};
 
 async function runTests() {
   console.log('🧪 Testing @home-env/app-logger module...\n');
@@ -113,7 +152,1200 @@ async function runTests() {
   await compatLogger.warn('Warning message - original interface');
   await compatLogger.http('HTTP message - original interface');
   
-  // Cleanup
+  // Test 8: Structured JSON output
+  console.log('\n📝 Test 8: Structured JSON output per transport');
+  const jsonLogger = new AppLogger('test-json', {
+    logPath: './test-logs/',
+    consoleFormat: 'text',
+    fileFormat: 'json'
+  });
+  fs.rmSync('./test-logs/test-json.log', { force: true });
+
+  await jsonLogger.info('Pipe | in | message', { sensor: 'DHT22', temp: 25.5 });
+  await jsonLogger.warn('No payload');
+  await wait(200);
+
+  const jsonLines = fs.readFileSync('./test-logs/test-json.log', 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.strictEqual(jsonLines.length, 2);
+  assert.strictEqual(jsonLines[0].level, 'info');
+  assert.strictEqual(jsonLines[0].route, 'test-json');
+  assert.strictEqual(jsonLines[0].message, 'Pipe | in | message');
+  assert.deepStrictEqual(jsonLines[0].data, { sensor: 'DHT22', temp: 25.5 });
+  assert.ok(!Number.isNaN(Date.parse(jsonLines[0].timestamp)));
+  assert.strictEqual(jsonLines[1].data, undefined);
+  assert.throws(() => new AppLogger('test-json-bad', { format: 'xml' }), /format must be one of: text, json/);
+
+  // Test 9: Child loggers with bound context
+  console.log('\n📝 Test 9: Child loggers with bound context');
+  const parentLogger = new AppLogger('test-child', {
+    logPath: './test-logs/',
+    fileFormat: 'json'
+  });
+  fs.rmSync('./test-logs/test-child.log', { force: true });
+
+  const requestLogger = parentLogger.child({ requestId: 'req-1' });
+  const sensorLogger = requestLogger.child({ sensorId: 'DHT22' });
+  assert.strictEqual(sensorLogger.logger, parentLogger.logger);
+  assert.deepStrictEqual(parentLogger.context, {});
+
+  await parentLogger.info('Parent entry');
+  await sensorLogger.info('Child entry', { temp: 25.5 });
+  await sensorLogger.close();
+  await wait(200);
+
+  const childLines = fs.readFileSync('./test-logs/test-child.log', 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.strictEqual(childLines.length, 2);
+  assert.strictEqual(childLines[0].context, undefined);
+  assert.deepStrictEqual(childLines[1].context, { requestId: 'req-1', sensorId: 'DHT22' });
+  assert.deepStrictEqual(childLines[1].data, { temp: 25.5 });
+
+  // Test 10: Async context propagation
+  console.log('\n📝 Test 10: Async context propagation');
+  const contextLogger = new AppLogger('test-context', {
+    logPath: './test-logs/',
+    fileFormat: 'json'
+  });
+  fs.rmSync('./test-logs/test-context.log', { force: true });
+
+  await AppLogger.runWithContext({ correlationId: 'corr-1' }, async () => {
+    await wait(10);
+    await contextLogger.info('After await');
+    await new Promise(resolve => setTimeout(() => contextLogger.info('In timer').then(resolve), 10));
+    await Promise.resolve().then(() => AppLogger.setContext({ userId: 7 }));
+    await contextLogger.child({ userId: 8 }).info('Child overrides');
+    await AppLogger.runWithContext({ step: 'nested' }, () => contextLogger.info('Nested'));
+  });
+  assert.deepStrictEqual(AppLogger.getContext(), {});
+  await contextLogger.info('Outside');
+  await wait(200);
+
+  const contextLines = fs.readFileSync('./test-logs/test-context.log', 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.strictEqual(contextLines.length, 5);
+  assert.deepStrictEqual(contextLines[0].context, { correlationId: 'corr-1' });
+  assert.deepStrictEqual(contextLines[1].context, { correlationId: 'corr-1' });
+  assert.deepStrictEqual(contextLines[2].context, { correlationId: 'corr-1', userId: 8 });
+  assert.deepStrictEqual(contextLines[3].context, { correlationId: 'corr-1', userId: 7, step: 'nested' });
+  assert.strictEqual(contextLines[4].context, undefined);
+
+  // Test 11: HTTP request logging middleware
+  console.log('\n📝 Test 11: HTTP request logging middleware');
+  const middlewareLogger = new AppLogger('test-middleware', {
+    logTracelevel: 'debug',
+    logPath: './test-logs/',
+    fileFormat: 'json'
+  });
+  fs.rmSync('./test-logs/test-middleware.log', { force: true });
+
+  const logRequests = AppLogger.middleware(middlewareLogger, { skip: ['/health'], requestId: true });
+  const server = http.createServer((req, res) => logRequests(req, res, () => {
+    middlewareLogger.debug('Handling request');
+    res.statusCode = req.url === '/missing' ? 404 : req.url === '/fail' ? 500 : 200;
+    res.setHeader('content-length', 2);
+    res.end('ok');
+  }));
+  await new Promise(resolve => server.listen(0, resolve));
+
+  const request = (url, headers = {}) => new Promise((resolve, reject) => {
+    http.get({ port: server.address().port, path: url, headers }, res => {
+      res.resume();
+      res.on('end', () => resolve(res));
+    }).on('error', reject);
+  });
+  const okResponse = await request('/api/users?page=1', { 'x-request-id': 'given-id' });
+  assert.strictEqual(okResponse.headers['x-request-id'], 'given-id');
+  const generatedResponse = await request('/missing');
+  assert.ok(/^[0-9a-f]{32}$/.test(generatedResponse.headers['x-request-id']));
+  await request('/fail');
+  await request('/health');
+  await new Promise(resolve => server.close(resolve));
+  await wait(200);
+
+  const httpLines = fs.readFileSync('./test-logs/test-middleware.log', 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  const requestLines = httpLines.filter(line => line.data);
+  assert.strictEqual(requestLines.length, 3);
+  assert.deepStrictEqual(requestLines.map(line => line.level), ['http', 'warn', 'error']);
+  assert.strictEqual(requestLines[0].data.method, 'GET');
+  assert.strictEqual(requestLines[0].data.url, '/api/users?page=1');
+  assert.strictEqual(requestLines[0].data.status, 200);
+  assert.strictEqual(requestLines[0].data.contentLength, 2);
+  assert.strictEqual(typeof requestLines[0].data.responseTime, 'number');
+  assert.ok(requestLines[0].data.remoteAddress);
+  assert.deepStrictEqual(requestLines[0].context, { requestId: 'given-id' });
+  assert.deepStrictEqual(httpLines[0].context, { requestId: 'given-id' });
+  assert.strictEqual(httpLines.length, 7);
+
+  // Test 12: Error serialization
+  console.log('\n📝 Test 12: Error serialization');
+  const errorLogger = new AppLogger('test-errors', {
+    logPath: './test-logs/',
+    fileFormat: 'json'
+  });
+  fs.rmSync('./test-logs/test-errors.log', { force: true });
+
+  const rootCause = new Error('connect ECONNREFUSED');
+  rootCause.code = 'ECONNREFUSED';
+  const wrapped = new Error('Startup failed', { cause: rootCause });
+  wrapped.sensorId = 'DHT22';
+  // Node 14 has neither the cause option nor AggregateError, build them from what the serializer reads
+  if (!('cause' in wrapped)) {
+    Object.defineProperty(wrapped, 'cause', { value: rootCause, configurable: true, writable: true });
+  }
+  const aggregatedErrors = [new TypeError('bad type'), new RangeError('out of range')];
+  const aggregate = typeof AggregateError === 'function'
+    ? new AggregateError(aggregatedErrors, 'Several failures')
+    : Object.assign(new Error('Several failures'), { name: 'AggregateError', errors: aggregatedErrors });
+  const selfCaused = new Error('Loop');
+  selfCaused.cause = selfCaused;
+
+  await errorLogger.exception('Critical failure', wrapped);
+  await errorLogger.error('Nested error', { query: 'SELECT 1', error: rootCause });
+  await errorLogger.error('Aggregate error', aggregate);
+  await errorLogger.error('Self caused', selfCaused);
+  await wait(200);
+
+  const errorLines = fs.readFileSync('./test-logs/test-errors.log', 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.strictEqual(errorLines[0].data.name, 'Error');
+  assert.strictEqual(errorLines[0].data.message, 'Startup failed');
+  assert.strictEqual(errorLines[0].data.sensorId, 'DHT22');
+  assert.ok(errorLines[0].data.stack.includes('Startup failed'));
+  assert.strictEqual(errorLines[0].data.cause.message, 'connect ECONNREFUSED');
+  assert.strictEqual(errorLines[0].data.cause.code, 'ECONNREFUSED');
+  assert.strictEqual(errorLines[1].data.query, 'SELECT 1');
+  assert.strictEqual(errorLines[1].data.error.code, 'ECONNREFUSED');
+  assert.deepStrictEqual(errorLines[2].data.errors.map(error => error.name), ['TypeError', 'RangeError']);
+  assert.strictEqual(errorLines[3].data.cause, '[Circular]');
+  assert.strictEqual(wrapped.cause, rootCause);
+
+  // Test 13: Safe payload serialization
+  console.log('\n📝 Test 13: Safe payload serialization');
+  const safeLogger = new AppLogger('test-safe', {
+    logPath: './test-logs/',
+    fileFormat: 'json',
+    maxDepth: 3,
+    maxArrayLength: 5,
+    maxStringLength: 20,
+    maxPayloadBytes: 256
+  });
+  fs.rmSync('./test-logs/test-safe.log', { force: true });
+
+  const circular = { name: 'req' };
+  circular.self = circular;
+  const throwingGetter = { ok: 1, get broken() { throw new Error('getter failed'); } };
+
+  await safeLogger.info('Circular', circular);
+  await safeLogger.info('Conversions', {
+    counter: 12345678901234567890n,
+    map: new Map([['a', 1], [2, 'b']]),
+    set: new Set([1, 2]),
+    buffer: Buffer.from('hi'),
+    date: new Date(0)
+  });
+  await safeLogger.info('Limits', {
+    deep: { a: { b: { c: 1 } } },
+    list: [1, 2, 3, 4, 5, 6, 7],
+    text: 'x'.repeat(30)
+  });
+  await safeLogger.info('Oversized', { rows: Array.from({ length: 5 }, (_, i) => ({ i, a: 'z'.repeat(20), b: 'z'.repeat(20) })) });
+  await safeLogger.info('Throwing getter', throwingGetter);
+  await safeLogger.info('BigInt context');
+  await safeLogger.child({ counter: 10n }).info('BigInt context');
+  await wait(200);
+
+  const safeLines = fs.readFileSync('./test-logs/test-safe.log', 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepStrictEqual(safeLines[0].data, { name: 'req', self: '[Circular]' });
+  assert.deepStrictEqual(safeLines[1].data, {
+    counter: '12345678901234567890',
+    map: { a: 1, 2: 'b' },
+    set: [1, 2],
+    buffer: '<Buffer 68 69>',
+    date: '1970-01-01T00:00:00.000Z'
+  });
+  assert.deepStrictEqual(safeLines[2].data.deep, { a: { b: '[Object]' } });
+  assert.deepStrictEqual(safeLines[2].data.list, [1, 2, 3, 4, 5, '[... 2 more items]']);
+  assert.strictEqual(safeLines[2].data.text, `${'x'.repeat(20)}... [truncated 10 chars]`);
+  assert.ok(/exceeds limit of 256 bytes/.test(safeLines[3].data.truncated));
+  assert.deepStrictEqual(safeLines[4].data, { ok: 1, broken: '[Unserializable: getter failed]' });
+  assert.deepStrictEqual(safeLines[6].context, { counter: '10' });
+  assert.strictEqual(circular.self, circular);
+
+  // Test 14: Sensitive field redaction
+  console.log('\n📝 Test 14: Sensitive field redaction');
+  const redactLogger = new AppLogger('test-redact', {
+    logPath: './test-logs/',
+    fileFormat: 'json',
+    redact: {
+      paths: ['password', 'headers.authorization', '*.apiKey', 'token'],
+      patterns: [/Bearer\s+[\w.-]+/, /\b\d{4}(?:[ -]?\d{4}){3}\b/]
+    }
+  });
+  fs.rmSync('./test-logs/test-redact.log', { force: true });
+
+  const secrets = {
+    ssid: 'home',
+    Password: 'wifi-secret',
+    headers: { authorization: 'Basic abc', host: 'device.local' },
+    service: { apiKey: 'k-123', url: 'https://api' },
+    nested: { deep: { password: 'deep-secret' } },
+    note: 'sent Bearer abc.def-1 with card 4111 1111 1111 1111'
+  };
+  await redactLogger.info('Secrets', secrets);
+  await redactLogger.child({ token: 'session-token' }).info('Bound secret');
+
+  const hashLogger = new AppLogger('test-redact-hash', {
+    logPath: './test-logs/',
+    fileFormat: 'json',
+    redact: { paths: ['password'], hash: true }
+  });
+  fs.rmSync('./test-logs/test-redact-hash.log', { force: true });
+  await hashLogger.info('Hashed', { password: 'wifi-secret' });
+  await wait(200);
+
+  const redactLines = fs.readFileSync('./test-logs/test-redact.log', 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepStrictEqual(redactLines[0].data, {
+    ssid: 'home',
+    Password: '[REDACTED]',
+    headers: { authorization: '[REDACTED]', host: 'device.local' },
+    service: { apiKey: '[REDACTED]', url: 'https://api' },
+    nested: { deep: { password: '[REDACTED]' } },
+    note: 'sent [REDACTED] with card [REDACTED]'
+  });
+  assert.deepStrictEqual(redactLines[1].context, { token: '[REDACTED]' });
+  assert.strictEqual(secrets.Password, 'wifi-secret');
+  assert.strictEqual(secrets.headers.authorization, 'Basic abc');
+  const hashLine = JSON.parse(fs.readFileSync('./test-logs/test-redact-hash.log', 'utf8').trim());
+  assert.ok(/^\[sha256:[0-9a-f]{16}\]$/.test(hashLine.data.password));
+
+  // Oversized payloads are redacted before the preview is cut from them
+  const truncatedRedactLogger = new AppLogger('test-redact-truncated', {
+    logPath: './test-logs/',
+    consoleOutput: 'off',
+    format: 'json',
+    durability: 'write',
+    maxPayloadBytes: 100,
+    redact: { paths: ['password'] }
+  });
+  fs.rmSync('./test-logs/test-redact-truncated.log', { force: true });
+  await truncatedRedactLogger.info('Large secret', { password: 'hunter2-secret', readings: Array.from({ length: 50 }, (_, i) => i) });
+  const truncatedLine = JSON.parse(fs.readFileSync('./test-logs/test-redact-truncated.log', 'utf8').trim());
+  assert.ok(truncatedLine.data.truncated.startsWith('[Payload of'));
+  assert.ok(truncatedLine.data.preview.startsWith('{"password":"[REDACTED]"'));
+  assert.ok(!JSON.stringify(truncatedLine).includes('hunter2'));
+  await truncatedRedactLogger.close();
+
+  const cutRedactLogger = new AppLogger('test-redact-cut', {
+    logPath: './test-logs/',
+    consoleOutput: 'off',
+    format: 'json',
+    durability: 'write',
+    maxStringLength: 20,
+    redact: { patterns: [/\b\d{4}(?:[ -]?\d{4}){3}\b/] }
+  });
+  fs.rmSync('./test-logs/test-redact-cut.log', { force: true });
+  await cutRedactLogger.info('Payment', { note: 'paid with 4111 1111 1111 1111 yesterday' });
+  const cutLine = JSON.parse(fs.readFileSync('./test-logs/test-redact-cut.log', 'utf8').trim());
+  assert.strictEqual(cutLine.data.note, 'paid with [REDACTED]... [truncated 10 chars]');
+  await cutRedactLogger.close();
+
+  // Test 15: Timestamp formats
+  console.log('\n📝 Test 15: Timestamp formats and locales');
+  const timestampLoggers = {
+    us: new AppLogger('test-ts-us', { logPath: './test-logs/', dateLocale: 'en-US', timeZone: 'UTC' }),
+    de: new AppLogger('test-ts-de', { logPath: './test-logs/', dateLocale: 'de-DE', timeZone: 'UTC', timestampMilliseconds: true }),
+    tokyo: new AppLogger('test-ts-tokyo', { logPath: './test-logs/', dateLocale: 'en-GB', timeZone: 'Asia/Tokyo' }),
+    iso: new AppLogger('test-ts-iso', { logPath: './test-logs/', timestampFormat: 'iso' }),
+    epoch: new AppLogger('test-ts-epoch', { logPath: './test-logs/', timestampFormat: 'epoch' })
+  };
+  for (const [name, logger] of Object.entries(timestampLoggers)) {
+    fs.rmSync(`./test-logs/test-ts-${name}.log`, { force: true });
+    await logger.info('Timestamp');
+  }
+  await wait(200);
+
+  const firstColumn = name => fs.readFileSync(`./test-logs/test-ts-${name}.log`, 'utf8').split(' | ')[0];
+  assert.ok(/^\d{2}\/\d{2}\/\d{4}, \d{2}:\d{2}:\d{2} (AM|PM)$/.test(firstColumn('us')), firstColumn('us'));
+  assert.ok(/^\d{2}\.\d{2}\.\d{4}, \d{2}:\d{2}:\d{2},\d{3}$/.test(firstColumn('de')), firstColumn('de'));
+  assert.ok(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/.test(firstColumn('iso')), firstColumn('iso'));
+  assert.ok(Math.abs(Number(firstColumn('epoch')) - Date.now()) < 5000, firstColumn('epoch'));
+  const utcHour = new Date().getUTCHours();
+  const tokyoHour = Number(firstColumn('tokyo').split(', ')[1].split(':')[0]);
+  assert.strictEqual(tokyoHour, (utcHour + 9) % 24);
+  assert.throws(() => new AppLogger('test-ts-bad', { timestampFormat: 'unix' }), /timestampFormat must be one of: locale, iso, epoch/);
+
+  // Test 16: Logger registry
+  console.log('\n📝 Test 16: Logger registry with shared transports');
+  fs.rmSync('./test-logs/registry', { recursive: true, force: true });
+  AppLogger.configure({
+    name: 'service',
+    logPath: './test-logs/registry/',
+    logTracelevel: 'info',
+    fileFormat: 'json',
+    routes: {
+      sensor: { logTracelevel: 'debug' },
+      audit: { consoleOutput: 'off' }
+    }
+  });
+
+  const mainModule = AppLogger.get('main');
+  const sensorModule = AppLogger.get('sensor');
+  const auditModule = AppLogger.get('audit');
+  assert.strictEqual(AppLogger.get('main'), mainModule);
+  assert.strictEqual(mainModule.logger, sensorModule.logger);
+  assert.notStrictEqual(auditModule.logger, mainModule.logger);
+  assert.strictEqual(sensorModule.getConfig().logTracelevel, 'debug');
+  assert.strictEqual(mainModule.getConfig().logTracelevel, 'info');
+  assert.throws(() => AppLogger.configure({}), /must be called before/);
+
+  // A level change on one route stays with that route
+  const httpModule = AppLogger.get('http');
+  await httpModule.updateConfig({ logTracelevel: 'warn' });
+  assert.strictEqual(httpModule.getLevel(), 'warn');
+  assert.strictEqual(sensorModule.getLevel(), 'debug');
+  assert.strictEqual(mainModule.getLevel(), 'info');
+  assert.throws(() => httpModule.updateConfig({ logTracelevel: 'verbose' }), /updateConfig: logTracelevel must be one of/);
+
+  // Registry and child loggers hear the events of the logger whose transports they share
+  const registryEvents = [];
+  const onReconfigured = info => registryEvents.push(info);
+  assert.strictEqual(httpModule.on('reconfigured', onReconfigured), httpModule);
+  mainModule.child({ step: 1 }).once('reconfigured', onReconfigured);
+  await httpModule.updateConfig({ maxDepth: 6 });
+  assert.deepStrictEqual(registryEvents, [{ changed: ['maxDepth'], transportsReplaced: false }, { changed: ['maxDepth'], transportsReplaced: false }]);
+  httpModule.off('reconfigured', onReconfigured);
+  await mainModule.updateConfig({ maxDepth: 10 });
+  assert.strictEqual(registryEvents.length, 2);
+  await mainModule.debug('Filtered by global level');
+  await mainModule.info('Main entry');
+  await sensorModule.debug('Sensor debug entry');
+  await auditModule.info('Audit entry');
+  await AppLogger.closeAll();
+
+  assert.deepStrictEqual(fs.readdirSync('./test-logs/registry').sort(), ['audit.log', 'service.log']);
+  const serviceLines = fs.readFileSync('./test-logs/registry/service.log', 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepStrictEqual(serviceLines.map(line => [line.route, line.message]), [['main', 'Main entry'], ['sensor', 'Sensor debug entry']]);
+  assert.notStrictEqual(AppLogger.get('main'), mainModule);
+  await AppLogger.closeAll();
+  AppLogger.configure({});
+
+  // Test 17: Per-route level patterns
+  console.log('\n📝 Test 17: Per-route level patterns');
+  const patternLoggers = {
+    dht: new AppLogger('sensor:dht22', { logPath: './test-logs/', consoleOutput: 'off' }),
+    http: new AppLogger('http', { logPath: './test-logs/', consoleOutput: 'off', logTracelevel: 'debug' }),
+    main: new AppLogger('main', { logPath: './test-logs/', consoleOutput: 'off' })
+  };
+  const patternTransport = patternLoggers.dht.logger.transports[0];
+  AppLogger.setLevels('*=info,sensor:*=debug,http=warn');
+  assert.strictEqual(patternLoggers.dht.getLevel(), 'debug');
+  assert.strictEqual(patternLoggers.http.getLevel(), 'warn');
+  assert.strictEqual(patternLoggers.main.getLevel(), 'info');
+  assert.strictEqual(patternLoggers.dht.child({ id: 1 }).isLevelEnabled('debug'), true);
+
+  AppLogger.setLevel('sensor:dht22', 'error');
+  assert.strictEqual(patternLoggers.dht.getLevel(), 'error');
+  assert.strictEqual(patternLoggers.dht.isLevelEnabled('warn'), false);
+  assert.strictEqual(patternLoggers.dht.logger.transports[0], patternTransport);
+  AppLogger.setLevel('sensor:dht22', null);
+  assert.strictEqual(patternLoggers.dht.getLevel(), 'debug');
+  assert.throws(() => AppLogger.setLevel('main', 'verbose'), /Unknown log level/);
+
+  AppLogger.setLevels('');
+  assert.strictEqual(patternLoggers.http.getLevel(), 'debug');
+  for (const logger of Object.values(patternLoggers)) {
+    await logger.close();
+  }
+
+  // Test 18: Config file and environment variables
+  console.log('\n📝 Test 18: Config file and environment variable loading');
+  const configFile = path.resolve('./test-logs/app-logger.json');
+  fs.writeFileSync(configFile, JSON.stringify({ logTracelevel: 'warn', consoleOutput: 'off', logPath: './test-logs/', maxFiles: '7d' }));
+
+  const fileLogger = new AppLogger('test-config-file', { configFile });
+  assert.strictEqual(fileLogger.getConfig().logTracelevel, 'warn');
+  assert.strictEqual(fileLogger.getConfig().maxFiles, '7d');
+  await fileLogger.close();
+
+  process.env.APP_LOGGER_CONFIG = configFile;
+  process.env.APP_LOGGER_MAX_FILES = '3d';
+  process.env.APP_LOGGER_FILE_ROTATION = 'false';
+  process.env.APP_LOGGER_MAX_DEPTH = '4';
+  const envLogger = new AppLogger('test-config-env', { logTracelevel: 'debug', maxFiles: '30d' });
+  const envConfig = envLogger.getConfig();
+  assert.strictEqual(envConfig.consoleOutput, 'off');
+  assert.strictEqual(envConfig.logTracelevel, 'debug');
+  assert.strictEqual(envConfig.maxFiles, '3d');
+  assert.strictEqual(envConfig.fileRotation, false);
+  assert.strictEqual(envConfig.maxDepth, 4);
+  await envLogger.close();
+
+  process.env.APP_LOGGER_LOG_TRACELEVEL = 'verbose';
+  assert.throws(() => new AppLogger('test-config-bad-env'), /environment variables: logTracelevel must be one of: exception, error/);
+  delete process.env.APP_LOGGER_LOG_TRACELEVEL;
+  delete process.env.APP_LOGGER_CONFIG;
+  delete process.env.APP_LOGGER_MAX_FILES;
+  delete process.env.APP_LOGGER_FILE_ROTATION;
+  delete process.env.APP_LOGGER_MAX_DEPTH;
+
+  const badConfigFile = path.resolve('./test-logs/app-logger-bad.json');
+  fs.writeFileSync(badConfigFile, JSON.stringify({ logTracelevel: 'verbose', maxFileSize: 'huge' }));
+  assert.throws(() => new AppLogger('test-config-bad-file', { configFile: badConfigFile }), /logTracelevel must be one of[^]*maxFileSize must be a size/);
+  fs.writeFileSync(badConfigFile, '{ not json');
+  assert.throws(() => new AppLogger('test-config-bad-file', { configFile: badConfigFile }), /Cannot load logger config file/);
+
+  const watchedLogger = new AppLogger('test-config-watch', { configFile, watchConfig: true });
+  assert.strictEqual(watchedLogger.getLevel(), 'warn');
+  fs.writeFileSync(configFile, JSON.stringify({ logTracelevel: 'trace', consoleOutput: 'off', logPath: './test-logs/' }));
+  await wait(2500);
+  assert.strictEqual(watchedLogger.getLevel(), 'trace');
+  await watchedLogger.close();
+
+  // Test 19: Configuration validation
+  console.log('\n📝 Test 19: Configuration validation');
+  let configError;
+  try {
+    new AppLogger('test-validation', { logTracelevel: 'verbose', consoleOutput: true, maxFiles: 'two weeks', logTraceLevel: 'info', colour: 'red' });
+  } catch (error) {
+    configError = error;
+  }
+  assert.ok(configError instanceof AppLogger.AppLoggerConfigError);
+  assert.strictEqual(configError.name, 'AppLoggerConfigError');
+  assert.deepStrictEqual(configError.problems, [
+    'options: logTracelevel must be one of: exception, error, warn, info, http, trace, debug, got "verbose"',
+    'options: consoleOutput must be one of: on, off, got true',
+    'options: maxFiles must be a file count such as \'10\' or an age such as \'14d\', got "two weeks"',
+    'options: unknown option \'logTraceLevel\', did you mean \'logTracelevel\'?',
+    'options: unknown option \'colour\''
+  ]);
+  assert.throws(() => new AppLogger('test-validation', { timeZone: 'Mars/Olympus' }), /timeZone must be an IANA time zone/);
+  assert.throws(() => new AppLogger('test-validation', { redact: { paths: 'password' } }), /redact must be null or an object/);
+
+  const warnings = [];
+  const onWarning = warning => warnings.push(warning.message);
+  process.on('warning', onWarning);
+  const lenientLogger = new AppLogger('test-validation-lenient', { strict: false, logPath: './test-logs/', consoleOutput: true, maxDepht: 3, logTracelevel: 'warn' });
+  assert.strictEqual(lenientLogger.getConfig().consoleOutput, 'on');
+  assert.strictEqual(lenientLogger.getConfig().maxDepht, undefined);
+  assert.strictEqual(lenientLogger.getLevel(), 'warn');
+  lenientLogger.updateConfig({ logTracelevel: 'loud' });
+  assert.strictEqual(lenientLogger.getLevel(), 'warn');
+  await wait(10);
+  process.removeListener('warning', onWarning);
+  assert.strictEqual(warnings.length, 2);
+  assert.ok(/did you mean 'maxDepth'/.test(warnings[0]));
+  assert.ok(/updateConfig: logTracelevel must be one of/.test(warnings[1]));
+  await lenientLogger.close();
+
+  const strictLogger = new AppLogger('test-validation-strict', { logPath: './test-logs/', consoleOutput: 'off' });
+  assert.throws(() => strictLogger.updateConfig({ fileRotation: 'yes' }), /updateConfig: fileRotation must be a boolean/);
+  assert.strictEqual(strictLogger.getConfig().fileRotation, false);
+  await strictLogger.updateConfig({ logTracelevel: undefined });
+  assert.strictEqual(strictLogger.getLevel(), 'info');
+  await strictLogger.close();
+
+  // Options left undefined, e.g. missing keys of a config store, fall back to their defaults
+  const unsetLogger = new AppLogger('test-validation-unset', { logTracelevel: undefined, consoleOutput: undefined, logPath: './test-logs/', levels: undefined });
+  assert.strictEqual(unsetLogger.getLevel(), 'info');
+  assert.strictEqual(unsetLogger.getConfig().consoleOutput, 'on');
+  await unsetLogger.close();
+
+  // Test 20: Reconfiguration without leaking transports
+  console.log('\n📝 Test 20: Reconfiguration');
+  fs.rmSync('./test-logs/test-reconfigure.log', { force: true });
+  fs.rmSync('./test-logs/reconfigured', { recursive: true, force: true });
+  const swapLogger = new AppLogger('test-reconfigure', { logPath: './test-logs/', consoleOutput: 'off', logTracelevel: 'debug' });
+  const events = [];
+  swapLogger.on('reconfigured', info => events.push(info));
+  const oldTransport = swapLogger.logger.transports[0];
+  const firstWinston = swapLogger.logger;
+  await swapLogger.updateConfig({ logTracelevel: 'trace' });
+  assert.strictEqual(swapLogger.logger, firstWinston);
+  assert.deepStrictEqual(events[0], { changed: ['logTracelevel'], transportsReplaced: false });
+
+  for (let i = 0; i < 20; i++) {
+    swapLogger.info(`before ${i}`);
+  }
+  const switched = swapLogger.updateConfig({ logPath: './test-logs/reconfigured/', format: 'json' });
+  for (let i = 0; i < 20; i++) {
+    swapLogger.info(`after ${i}`);
+  }
+  await switched;
+  assert.ok(oldTransport._dest.closed);
+  assert.deepStrictEqual(events[1], { changed: ['logPath', 'format'], transportsReplaced: true });
+  await swapLogger.close();
+  const oldLines = fs.readFileSync('./test-logs/test-reconfigure.log', 'utf8').trim().split('\n');
+  const newLines = fs.readFileSync('./test-logs/reconfigured/test-reconfigure.log', 'utf8').trim().split('\n').map(line => JSON.parse(line).message);
+  assert.deepStrictEqual(oldLines.map(line => /\| (before \d+) \|$/.exec(line)[1]), Array.from({ length: 20 }, (_, i) => `before ${i}`));
+  assert.deepStrictEqual(newLines, Array.from({ length: 20 }, (_, i) => `after ${i}`));
+
+    // Test 21: Durable writes and flush
+  console.log('\n📝 Test 21: Durable writes and flush');
+  fs.rmSync('./test-logs/test-durable.log', { force: true });
+  const durableLogger = new AppLogger('test-durable', { logPath: './test-logs/', consoleOutput: 'off', durability: 'fsync' });
+  await durableLogger.child({ device: 'd1' }).exception('Power fault', { voltage: 3.1 });
+  assert.ok(fs.readFileSync('./test-logs/test-durable.log', 'utf8').includes('Power fault'));
+  await durableLogger.info('Second entry');
+  assert.strictEqual(fs.readFileSync('./test-logs/test-durable.log', 'utf8').trim().split('\n').length, 2);
+
+  const rotatingDurable = new AppLogger('test-durable-rotate', { logPath: './test-logs/durable/', consoleOutput: 'off', fileRotation: true, durability: 'write' });
+  await rotatingDurable.warn('Rotating entry');
+  const rotatedFile = fs.readdirSync('./test-logs/durable/').find(name => name.startsWith('test-durable-rotate-'));
+  assert.ok(fs.readFileSync(path.join('./test-logs/durable/', rotatedFile), 'utf8').includes('Rotating entry'));
+
+  // Durability, flush and close rely on these internals of the Winston versions pinned in package.json
+  const [fileTransport] = durableLogger.logger.transports;
+  const [rotatingTransport] = rotatingDurable.logger.transports;
+  assert.strictEqual(typeof fileTransport._createStream, 'function');
+  assert.strictEqual(fileTransport._opening, false);
+  assert.strictEqual(typeof fileTransport._stream.readableLength, 'number');
+  assert.strictEqual(typeof fileTransport._stream.resume, 'function');
+  assert.ok(fileTransport._dest instanceof fs.WriteStream);
+  assert.strictEqual(typeof fileTransport._dest.fd, 'number');
+  assert.ok(Array.isArray(rotatingTransport.logStream.auditLog.files));
+  assert.strictEqual(path.resolve(rotatingTransport.logStream.auditLog.files[0].name), path.resolve('./test-logs/durable/', rotatedFile));
+  await rotatingDurable.close();
+
+  fs.rmSync('./test-logs/test-flush.log', { force: true });
+  const flushLogger = new AppLogger('test-flush', { logPath: './test-logs/', consoleOutput: 'off' });
+  for (let i = 0; i < 50; i++) {
+    flushLogger.info(`entry ${i}`);
+  }
+  await flushLogger.flush();
+  assert.strictEqual(fs.readFileSync('./test-logs/test-flush.log', 'utf8').trim().split('\n').length, 50);
+  await flushLogger.close();
+
+  durableLogger.logger.transports[0]._dest.destroy();
+  await assert.rejects(durableLogger.info('Lost entry'));
+  await durableLogger.close();
+
+  // A file that cannot be opened rejects awaited writes instead of leaving them pending
+  fs.rmSync('./test-logs/unwritable/', { recursive: true, force: true });
+  fs.mkdirSync('./test-logs/unwritable/test-unwritable.log', { recursive: true });
+  const unwritableLogger = new AppLogger('test-unwritable', { logPath: './test-logs/unwritable/', consoleOutput: 'off', durability: 'write' });
+  await assert.rejects(unwritableLogger.info('Nowhere to go'), { code: 'EISDIR' });
+  await assert.rejects(unwritableLogger.info('Still nowhere'), { code: 'EISDIR' });
+  await assert.rejects(unwritableLogger.flush(), { code: 'EISDIR' });
+  await unwritableLogger.close();
+
+  // More than the streams buffer queued for a file that cannot be opened
+  fs.mkdirSync('./test-logs/unwritable/test-unwritable-flood.log', { recursive: true });
+  const unwritableFloodLogger = new AppLogger('test-unwritable-flood', { logPath: './test-logs/unwritable/', consoleOutput: 'off' });
+  for (let i = 0; i < 2000; i++) {
+    unwritableFloodLogger.info(`Queued entry ${i}`, { padding: 'x'.repeat(50) });
+  }
+  await assert.rejects(unwritableFloodLogger.flush(), { code: 'EISDIR' });
+  await assert.rejects(unwritableFloodLogger.query(), { code: 'EISDIR' });
+  await unwritableFloodLogger.updateConfig({ logPath: './test-logs/unwritable/flood/' });
+  await unwritableFloodLogger.info('Writable again');
+  await unwritableFloodLogger.flush();
+  assert.ok(fs.readFileSync('./test-logs/unwritable/flood/test-unwritable-flood.log', 'utf8').includes('Writable again'));
+  await unwritableFloodLogger.close();
+
+    // Test 22: Graceful shutdown with handleExit
+  console.log('\n📝 Test 22: Graceful shutdown');
+  const exitLog = './test-logs/test-exit.log';
+  const exitScript = (body) => `
+    const AppLogger = require('./src/index.js');
+    const logger = new AppLogger('test-exit', { logPath: './test-logs/', consoleOutput: 'off', handleExit: true, exitTimeout: 2000 });
+    ${body}`;
+
+  fs.rmSync(exitLog, { force: true });
+  const crashCode = await runScript(exitScript(`logger.info('Starting'); setTimeout(() => { throw new Error('Sensor bus failure'); }, 10);`));
+  assert.strictEqual(crashCode, 1);
+  let exitLines = fs.readFileSync(exitLog, 'utf8');
+  assert.ok(exitLines.includes('Starting'));
+  assert.ok(/EXCEPTION \| Uncaught exception: Sensor bus failure/.test(exitLines));
+  assert.ok(exitLines.includes('Error: Sensor bus failure'));
+
+  fs.rmSync(exitLog, { force: true });
+  const rejectionCode = await runScript(exitScript(`Promise.reject('no reply');`));
+  assert.strictEqual(rejectionCode, 1);
+  assert.ok(fs.readFileSync(exitLog, 'utf8').includes('Unhandled promise rejection: no reply | {"reason":"no reply"}'));
+
+  fs.rmSync(exitLog, { force: true });
+  const signalCode = await runScript(exitScript(`logger.warn('Waiting'); setInterval(() => {}, 1000); console.log('ready');`), 'SIGTERM');
+  assert.strictEqual(signalCode, 143);
+  exitLines = fs.readFileSync(exitLog, 'utf8');
+  assert.ok(exitLines.includes('Waiting'));
+  assert.ok(exitLines.includes('Received SIGTERM, shutting down'));
+
+  // Entries logged once beforeExit closed the loggers are dropped instead of rejecting
+  fs.rmSync(exitLog, { force: true });
+  const lateCode = await runScript(exitScript(`logger.info('Done'); process.once('beforeExit', () => setTimeout(() => logger.info('Too late'), 50));`));
+  assert.strictEqual(lateCode, 0);
+  exitLines = fs.readFileSync(exitLog, 'utf8');
+  assert.ok(exitLines.includes('Done'));
+  assert.ok(!exitLines.includes('Too late'));
+
+  const closedLogger = new AppLogger('test-exit-closed', { logPath: './test-logs/', consoleOutput: 'off', durability: 'write' });
+  await closedLogger.close();
+  const closedWarnings = [];
+  const onClosedWarning = warning => closedWarnings.push(warning.message);
+  process.on('warning', onClosedWarning);
+  assert.strictEqual(await closedLogger.info('After close'), undefined);
+  assert.strictEqual(await closedLogger.child({ requestId: 'r1' }).warn('Child after close'), undefined);
+  await new Promise(resolve => setImmediate(resolve));
+  process.removeListener('warning', onClosedWarning);
+  assert.deepStrictEqual(closedWarnings, ["Logger 'test-exit-closed' is closed, entries logged after close() are dropped"]);
+
+  const exitListeners = process.listenerCount('SIGTERM');
+  const handlingLogger = new AppLogger('test-exit-local', { logPath: './test-logs/', consoleOutput: 'off', handleExit: true });
+  assert.strictEqual(process.listenerCount('SIGTERM'), exitListeners + 1);
+  await handlingLogger.close();
+  assert.strictEqual(process.listenerCount('SIGTERM'), exitListeners);
+
+  // Test 23: Custom levels
+  console.log('\n📝 Test 23: Custom levels');
+  fs.rmSync('./test-logs/test-levels.log', { force: true });
+  const customLevels = { fatal: { priority: 0, color: 'bold white bgRed' }, audit: { priority: 2, color: 'magenta' }, metric: 5 };
+  const levelsLogger = new AppLogger('test-levels', { logPath: './test-logs/', consoleOutput: 'off', levels: customLevels, logTracelevel: 'audit' });
+  assert.strictEqual(typeof levelsLogger.audit, 'function');
+  await levelsLogger.fatal('Reactor breach');
+  await levelsLogger.audit('User deleted', { userId: 7 });
+  await levelsLogger.metric('Queue depth', { depth: 3 });
+  await levelsLogger.child({ requestId: 'r9' }).audit('Child audit');
+  assert.ok(levelsLogger.isLevelEnabled('warn'));
+  assert.ok(!levelsLogger.isLevelEnabled('metric'));
+  await levelsLogger.close();
+  const levelLines = fs.readFileSync('./test-logs/test-levels.log', 'utf8').trim().split('\n');
+  assert.strictEqual(levelLines.length, 3);
+  assert.ok(levelLines[0].includes('FATAL | Reactor breach'));
+  assert.ok(levelLines[1].includes('AUDIT | User deleted'));
+  assert.ok(levelLines[2].includes('[requestId=r9] Child audit'));
+
+  const consoleChunks = [];
+  const originalWrite = process.stdout.write;
+  process.stdout.write = (chunk, ...args) => (String(chunk).includes('palette') ? consoleChunks.push(String(chunk)) : originalWrite.call(process.stdout, chunk, ...args));
+  const magentaLogger = new AppLogger('test-palette-a', { logPath: './test-logs/', levels: { audit: { priority: 2, color: 'magenta' } } });
+  const cyanLogger = new AppLogger('test-palette-b', { logPath: './test-logs/', levels: { audit: { priority: 2, color: 'cyan' } } });
+  await magentaLogger.audit('palette a');
+  await cyanLogger.audit('palette b');
+  await magentaLogger.close();
+  await cyanLogger.close();
+  process.stdout.write = originalWrite;
+  assert.ok(consoleChunks[0].startsWith('\u001b[35m'));
+  assert.ok(consoleChunks[1].startsWith('\u001b[36m'));
+
+  const replacedLogger = new AppLogger('test-levels-replaced', { logPath: './test-logs/', consoleOutput: 'off', levels: { high: 0, low: 1 }, replaceLevels: true, logTracelevel: 'high' });
+  assert.strictEqual(replacedLogger.getLevel(), 'high');
+  assert.ok(!replacedLogger.isLevelEnabled('info'));
+  AppLogger.setLevel('test-levels-replaced', 'low');
+  assert.strictEqual(replacedLogger.getLevel(), 'low');
+  AppLogger.setLevel('test-levels-replaced', null);
+  await replacedLogger.close();
+  assert.throws(() => AppLogger.setLevel('test-levels-replaced', 'low'), /Unknown log level/);
+
+  assert.throws(() => new AppLogger('test-levels-bad', { levels: { high: 0 }, replaceLevels: true }), /logTracelevel must be one of: high, got "info"/);
+  assert.throws(() => new AppLogger('test-levels-bad', { levels: { close: 1 } }), /'close' is not a usable level name/);
+  assert.throws(() => new AppLogger('test-levels-bad', { levels: { throttle: 3 } }), /'throttle' is not a usable level name/);
+  // Every member and field of a logger that would be a usable name is reserved
+  const memberLogger = new AppLogger('test-levels-members', { consoleOutput: 'off' });
+  const memberNames = Object.keys(memberLogger).concat(Object.getOwnPropertyNames(AppLogger.prototype), Object.getOwnPropertyNames(EventEmitter.prototype))
+    .filter(name => /^[a-z][a-zA-Z0-9]*$/.test(name) && !(name in memberLogger.levels.levels));
+  assert.ok(memberNames.includes('buffer') && memberNames.includes('throttle'));
+  memberNames.forEach((name) => {
+    assert.throws(() => new AppLogger('test-levels-bad', { levels: { [name]: 3 } }), new RegExp(`'${name}' is not a usable level name`));
+  });
+  await memberLogger.close();
+  assert.throws(() => new AppLogger('test-levels-bad', { levels: { audit: { priority: -1 } } }), /level 'audit' has no valid priority/);
+  assert.throws(() => new AppLogger('test-levels-bad', { levels: { audit: { priority: 2, color: 'purple' } } }), /level 'audit' has an unknown color/);
+
+    // Test 24: Level-routed file outputs
+  console.log('\n📝 Test 24: Level-routed outputs');
+  fs.rmSync('./test-logs/outputs', { recursive: true, force: true });
+  const outputLogger = new AppLogger('test-outputs', {
+    logPath: './test-logs/outputs/',
+    consoleOutput: 'off',
+    logTracelevel: 'debug',
+    errorFile: true,
+    outputs: [
+      { filename: '{route}.debug.json', levels: ['debug', 'trace'], format: 'json' },
+      { filename: '{route}.http.log', minLevel: 'http', maxLevel: 'warn' },
+      { filename: 'all-{route}.log', minLevel: 'debug', rotation: true, maxFiles: '3' }
+    ]
+  });
+  await outputLogger.exception('Fault');
+  await outputLogger.error('Failure');
+  await outputLogger.warn('Warning');
+  await outputLogger.http('GET /');
+  await outputLogger.debug('Details');
+  await outputLogger.close();
+  const readOutput = name => fs.readFileSync(path.join('./test-logs/outputs/', name), 'utf8').trim().split('\n');
+  assert.strictEqual(readOutput('test-outputs.log').length, 5);
+  assert.deepStrictEqual(readOutput('test-outputs.error.log').map(line => line.split(' | ')[1].trim()), ['EXCEPTION', 'ERROR']);
+  assert.deepStrictEqual(readOutput('test-outputs.debug.json').map(line => JSON.parse(line).message), ['Details']);
+  assert.deepStrictEqual(readOutput('test-outputs.http.log').map(line => line.split(' | ')[1].trim()), ['WARN', 'HTTP']);
+  const rotatedOutput = fs.readdirSync('./test-logs/outputs/').find(name => /^all-test-outputs-\d{4}-\d{2}-\d{2}\.log$/.test(name));
+  assert.strictEqual(readOutput(rotatedOutput).length, 5);
+
+  assert.throws(() => new AppLogger('test-outputs-bad', { outputs: [{ filename: 'x.log', level: 'error' }] }), /outputs\[0\]\.level must be left out/);
+  assert.throws(() => new AppLogger('test-outputs-bad', { outputs: [{ filename: 'x.log', minLevel: 'fatal' }] }), /outputs\[0\]\.minLevel must be one of/);
+  assert.throws(() => new AppLogger('test-outputs-bad', { levels: { high: 0, low: 1 }, replaceLevels: true, logTracelevel: 'low', errorFile: true }), /errorFile must be false when the levels have no 'error' level/);
+
+    // Test 25: Rotation patterns, gzip and retention
+  console.log('\n📝 Test 25: Rotation and retention');
+  const rotationPath = './test-logs/rotation/';
+  fs.rmSync(rotationPath, { recursive: true, force: true });
+  const realNow = Date.now;
+  let fakeNow = new Date(2025, 0, 31, 10, 30).getTime();
+  Date.now = () => fakeNow;
+  try {
+    const hourlyLogger = new AppLogger('test-hourly', {
+      logPath: rotationPath,
+      consoleOutput: 'off',
+      fileRotation: true,
+      datePattern: 'YYYY-MM-DD-HH',
+      zippedArchive: true,
+      durability: 'write'
+    });
+    const rotations = [];
+    hourlyLogger.on('rotate', rotation => rotations.push(rotation));
+    const archived = new Promise(resolve => hourlyLogger.once('archive', resolve));
+    await hourlyLogger.info('Before the hour');
+    fakeNow += 60 * 60 * 1000;
+    await hourlyLogger.info('After the hour');
+    const { file } = await archived;
+    await hourlyLogger.close();
+    assert.deepStrictEqual(rotations.map(({ oldFile, newFile }) => [path.basename(oldFile), path.basename(newFile)]),
+      [['test-hourly-2025-01-31-10.log', 'test-hourly-2025-01-31-11.log']]);
+    assert.strictEqual(path.basename(file), 'test-hourly-2025-01-31-10.log.gz');
+    assert.match(zlib.gunzipSync(fs.readFileSync(file)).toString(), /Before the hour/);
+    assert.ok(!fs.existsSync(path.join(rotationPath, 'test-hourly-2025-01-31-10.log')));
+  }
+  finally {
+    Date.now = realNow;
+  }
+
+  const sizeLogger = new AppLogger('test-size', {
+    logPath: rotationPath,
+    consoleOutput: 'off',
+    fileRotation: true,
+    datePattern: null,
+    maxFileSize: '1k',
+    maxTotalSize: '3k',
+    durability: 'write'
+  });
+  for (let index = 0; index < 60; index++) {
+    await sizeLogger.info(`Entry ${index} ${'x'.repeat(100)}`);
+  }
+  await sizeLogger.close();
+  const sizeFiles = fs.readdirSync(rotationPath).filter(name => /^test-size\.log(\.\d+)?$/.test(name));
+  assert.ok(sizeFiles.length > 1 && !sizeFiles.includes('test-size.log'));
+  assert.match(fs.readFileSync(path.join(rotationPath, sizeFiles.sort((a, b) => a.localeCompare(b, 'en', { numeric: true })).pop()), 'utf8'), /Entry 59 /);
+  assert.ok(sizeFiles.reduce((total, name) => total + fs.statSync(path.join(rotationPath, name)).size, 0) <= 3 * 1024);
+
+  assert.throws(() => new AppLogger('test-rotation-bad', { datePattern: 'HH:mm' }), /datePattern must be null or a date pattern/);
+  assert.throws(() => new AppLogger('test-rotation-bad', { maxTotalSize: '1t' }), /maxTotalSize must be null or a size/);
+
+    // Test 26: Tamper-evident audit log
+  console.log('\n📝 Test 26: Audit log');
+  const auditPath = './test-logs/audit/';
+  fs.rmSync(auditPath, { recursive: true, force: true });
+  const auditConfig = {
+    logPath: auditPath,
+    consoleOutput: 'off',
+    audit: { key: 'audit-secret', minLevel: 'info', rotation: true, datePattern: null, maxSize: '1k' }
+  };
+  let auditLogger = new AppLogger('test-audit', auditConfig);
+  for (let index = 0; index < 12; index++) {
+    await auditLogger.info(`Setting changed ${index}`, { setting: 'volume', value: index });
+  }
+  await auditLogger.close();
+  auditLogger = new AppLogger('test-audit', auditConfig);
+  await auditLogger.warn('Access denied', { user: 'guest' });
+  await auditLogger.close();
+  const auditFile = path.join(auditPath, 'test-audit.audit.log');
+  const auditResult = await AppLogger.verifyAuditLog(auditFile, 'audit-secret');
+  assert.strictEqual(auditResult.valid, true);
+  assert.strictEqual(auditResult.entries, 13);
+  assert.ok(auditResult.files.length > 1, 'audit chain spans rotated files');
+  assert.strictEqual((await AppLogger.verifyAuditLog(auditFile, 'wrong-key')).valid, false);
+
+  const [firstAuditFile] = auditResult.files;
+  const auditLines = fs.readFileSync(firstAuditFile, 'utf8').split('\n');
+  fs.writeFileSync(firstAuditFile, auditLines.join('\n').replace('Setting changed 1"', 'Setting changed 9"'));
+  const edited = await AppLogger.verifyAuditLog(auditFile, 'audit-secret');
+  assert.deepStrictEqual({ line: edited.broken.line, seq: edited.broken.seq }, { line: 2, seq: 2 });
+  assert.match(edited.broken.reason, /hash mismatch/);
+  fs.writeFileSync(firstAuditFile, auditLines.filter((line, index) => index !== 2).join('\n'));
+  const removed = await AppLogger.verifyAuditLog(auditFile, 'audit-secret');
+  assert.strictEqual(removed.broken.reason, 'entry 3 is missing');
+  fs.writeFileSync(firstAuditFile, auditLines.slice(2).join('\n'));
+  const truncatedStart = await AppLogger.verifyAuditLog(auditFile, 'audit-secret');
+  assert.strictEqual(truncatedStart.valid, false);
+  assert.deepStrictEqual({ line: truncatedStart.broken.line, reason: truncatedStart.broken.reason }, { line: 1, reason: 'entries 1 to 2 are missing' });
+  const pruned = await AppLogger.verifyAuditLog(auditFile, 'audit-secret', { allowPruned: true });
+  assert.strictEqual(pruned.valid, true);
+  assert.strictEqual(pruned.firstSeq, 3);
+
+  assert.throws(() => new AppLogger('test-audit-bad', { audit: { filename: 'x.log' } }), /audit has no key/);
+  assert.throws(() => new AppLogger('test-audit-bad', { audit: { key: 'k', format: 'text' } }), /audit\.format must be left out/);
+
+    // Test 27: Reading logs back with query and tail
+  console.log('\n📝 Test 27: Query and tail');
+  const queryPath = './test-logs/query/';
+  fs.rmSync(queryPath, { recursive: true, force: true });
+  const queryLogger = new AppLogger('test-query', { logPath: queryPath, consoleOutput: 'off', logTracelevel: 'debug' });
+  const queryStart = Date.now() - 1000;
+  await queryLogger.info('Device online | kitchen', { battery: 87 });
+  await queryLogger.child({ deviceId: 'thermostat', floor: 2 }).warn('Temperature high');
+  await queryLogger.error('Sync failed', new Error('Connection reset'));
+  await queryLogger.debug('Polling');
+  const queried = await queryLogger.query();
+  assert.deepStrictEqual(queried.map(entry => entry.level), ['info', 'warn', 'error', 'debug']);
+  assert.deepStrictEqual(queried[0].data, { battery: 87 });
+  assert.strictEqual(queried[0].message, 'Device online | kitchen');
+  assert.deepStrictEqual(queried[1].context, { deviceId: 'thermostat', floor: 2 });
+  assert.match(queried[2].stack, /^Error: Connection reset\n\s+at /);
+  assert.ok(queried.every(entry => entry.route === 'test-query' && entry.timestamp.getTime() >= queryStart - 1000));
+  assert.deepStrictEqual((await queryLogger.query({ level: 'warn' })).map(entry => entry.message), ['Temperature high', 'Sync failed']);
+  assert.deepStrictEqual((await queryLogger.query({ level: ['debug'], text: 'POLL' })).map(entry => entry.message), ['Polling']);
+  assert.deepStrictEqual((await queryLogger.query({ limit: 2 })).map(entry => entry.level), ['error', 'debug']);
+  assert.strictEqual((await queryLogger.query({ from: Date.now() + 60000 })).length, 0);
+  await assert.rejects(queryLogger.query({ level: 'fatal' }), /Unknown log level 'fatal'/);
+
+  const tailController = createAbortController();
+  const tailed = [];
+  const tailing = (async () => {
+    for await (const entry of queryLogger.tail({ lines: 1, follow: true, interval: 20, signal: tailController.signal })) {
+      tailed.push(entry.message);
+      if (tailed.length === 3) {
+        tailController.abort();
+      }
+    }
+  })();
+  await wait(50);
+  await queryLogger.info('Door opened');
+  await queryLogger.info('Door closed');
+  await Promise.race([tailing, wait(2000)]);
+  tailController.abort();
+  await tailing;
+  assert.deepStrictEqual(tailed, ['Polling', 'Door opened', 'Door closed']);
+  await queryLogger.close();
+
+  const archivedNow = Date.now;
+  let archiveClock = new Date(2025, 0, 31, 10, 30).getTime();
+  Date.now = () => archiveClock;
+  try {
+    const archiveLogger = new AppLogger('test-query-archive', {
+      logPath: queryPath,
+      consoleOutput: 'off',
+      format: 'json',
+      fileRotation: true,
+      datePattern: 'YYYY-MM-DD-HH',
+      zippedArchive: true
+    });
+    const archivedFile = new Promise(resolve => archiveLogger.once('archive', resolve));
+    await archiveLogger.info('Archived entry');
+    await archiveLogger.flush();
+    archiveClock += 60 * 60 * 1000;
+    await archiveLogger.info('Current entry');
+    await archivedFile;
+    const archivedEntries = await archiveLogger.query();
+    assert.deepStrictEqual(archivedEntries.map(entry => entry.message), ['Archived entry', 'Current entry']);
+    assert.deepStrictEqual((await archiveLogger.query({ to: new Date(2025, 0, 31, 11) })).map(entry => entry.message), ['Archived entry']);
+    await archiveLogger.close();
+  }
+  finally {
+    Date.now = archivedNow;
+  }
+
+    // Test 28: Command-line tool
+  console.log('\n📝 Test 28: Command-line tool');
+  const { PassThrough } = require('stream');
+  const cli = require('../src/cli');
+  const queryFile = path.join(queryPath, 'test-query.log');
+  const runCli = async (argv, { stdin, signal } = {}) => {
+    const stdout = new PassThrough();
+    const stderr = new PassThrough();
+    let output = '';
+    let errors = '';
+    stdout.on('data', chunk => { output += chunk; });
+    stderr.on('data', chunk => { errors += chunk; });
+    const code = await cli.run(argv, { stdin: stdin || { isTTY: true }, stdout, stderr, signal });
+    return { code, output, errors };
+  };
+  const viewed = await runCli(['view', '--level', 'warn', queryFile]);
+  assert.strictEqual(viewed.code, 0);
+  assert.match(viewed.output, /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}\.\d{3} +WARN \[test-query\] \[deviceId=thermostat floor=2\] Temperature high\n/);
+  assert.match(viewed.output, /ERROR \[test-query\] Sync failed .*\n {4}Error: Connection reset\n {8}at /);
+  assert.ok(!viewed.output.includes('\u001b['));
+  assert.ok((await runCli(['view', '--color', '-l', 'warn', queryFile])).output.startsWith('\u001b[33m'));
+  const lastDoor = await runCli(['view', '--json', '-t', '/^door/i', '-n', '1', queryFile]);
+  assert.deepStrictEqual(lastDoor.output.trim().split('\n').map(line => JSON.parse(line).message), ['Door closed']);
+  assert.strictEqual((await runCli(['view', '--from', '1h', '--to', '2000-01-01', queryFile])).output, '');
+  const stats = JSON.parse((await runCli(['stats', '--json', queryFile])).output);
+  assert.deepStrictEqual(stats.counts, { info: 3, warn: 1, error: 1, debug: 1 });
+  assert.strictEqual(stats.total, 6);
+  assert.match((await runCli(['stats', queryFile])).output, /^hour +exception +error +warn +info +http +trace +debug +total\n/);
+  const badOption = await runCli(['view', '--verbose', queryFile]);
+  assert.strictEqual(badOption.code, 2);
+  assert.match(badOption.errors, /Unknown option --verbose\n\nUsage: app-logger/);
+  assert.strictEqual((await runCli(['view', '-l', 'fatal', queryFile])).code, 1);
+  assert.match((await runCli(['view', path.join(queryPath, 'missing.log')])).errors, /No such file/);
+
+  // Custom levels: kept by a threshold that cannot rank them, ranked with --levels
+  const customLevelFile = path.join(queryPath, 'test-custom-levels.log');
+  fs.writeFileSync(customLevelFile, ['31.1.2025, 10:00:00 |     FATAL | Ledger out of balance', '31.1.2025, 10:00:01 |     AUDIT | Invoice voided', '31.1.2025, 10:00:02 |      INFO | Routine', ''].join('\n'));
+  const viewCustom = async (...argv) => (await runCli(['view', '--json', ...argv, customLevelFile])).output.trim().split('\n').map(line => JSON.parse(line).level);
+  assert.deepStrictEqual(await viewCustom('-l', 'error'), ['fatal', 'audit']);
+  assert.deepStrictEqual(await viewCustom('-l', 'error', '--levels', 'fatal=0,audit=2'), ['fatal']);
+  assert.deepStrictEqual(await viewCustom('-l', 'audit', '--levels', 'fatal=0, audit=2'), ['fatal', 'audit']);
+  assert.match((await runCli(['stats', '--levels', 'fatal=0,audit=2', customLevelFile])).output, /^hour +exception +fatal +error +warn +audit +info /);
+  const badLevels = await runCli(['view', '--levels', 'audit', customLevelFile]);
+  assert.strictEqual(badLevels.code, 2);
+  assert.match(badLevels.errors, /--levels must list levels with their priority such as 'fatal=0,audit=2', got 'audit'/);
+
+  // Piped input through the installed command
+  const piped = await new Promise((resolve) => {
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'bin', 'app-logger.js'), 'view', '--json', '-l', 'error']);
+    let output = '';
+    child.stdout.on('data', (chunk) => { output += chunk; });
+    child.on('exit', code => resolve({ code, output }));
+    fs.createReadStream(queryFile).pipe(child.stdin);
+  });
+  assert.strictEqual(piped.code, 0);
+  assert.deepStrictEqual(piped.output.trim().split('\n').map(line => JSON.parse(line).message), ['Sync failed']);
+
+  // Following a dated file into the next day's file
+  const cliPath = './test-logs/cli/';
+  fs.rmSync(cliPath, { recursive: true, force: true });
+  fs.mkdirSync(cliPath, { recursive: true });
+  fs.writeFileSync(path.join(cliPath, 'sensor-2025-01-31.log'), '31.1.2025, 23:59:58 | INFO | Before follow\n');
+  const followController = createAbortController();
+  const following = runCli(['follow', '-n', '1', '--interval', '20', '--json', path.join(cliPath, 'sensor-2025-01-31.log')], { signal: followController.signal });
+  await wait(100);
+  fs.appendFileSync(path.join(cliPath, 'sensor-2025-01-31.log'), '31.1.2025, 23:59:59 | WARN | Last of the day\n');
+  await wait(100);
+  fs.writeFileSync(path.join(cliPath, 'sensor-2025-02-01.log'), '01.02.2025, 00:00:01 | INFO | First of the day\n');
+  await wait(200);
+  followController.abort();
+  const followed = await following;
+  assert.strictEqual(followed.code, 0);
+  assert.deepStrictEqual(followed.output.trim().split('\n').map(line => JSON.parse(line)).map(entry => [entry.route, entry.message]),
+    [['sensor', 'Before follow'], ['sensor', 'Last of the day'], ['sensor', 'First of the day']]);
+
+  // Digits of the route are not a date: sensor2.log is not the next file of sensor1.log
+  fs.writeFileSync(path.join(cliPath, 'sensor1.log'), '31.1.2025, 23:59:58 | INFO | from sensor1\n');
+  const otherController = createAbortController();
+  const followingOther = runCli(['follow', '--interval', '20', '--json', path.join(cliPath, 'sensor1.log')], { signal: otherController.signal });
+  await wait(100);
+  fs.writeFileSync(path.join(cliPath, 'sensor2.log'), '01.02.2025, 00:00:01 | INFO | from sensor2\n');
+  await wait(200);
+  otherController.abort();
+  assert.deepStrictEqual((await followingOther).output.trim().split('\n').map(line => JSON.parse(line)).map(entry => [entry.route, entry.message]), [['sensor1', 'from sensor1']]);
+  fs.writeFileSync(path.join(cliPath, 'api.v2.error-2025-01-31.log'), '31.1.2025, 23:59:58 | ERROR | Versioned route\n');
+  assert.strictEqual(JSON.parse((await runCli(['view', '--json', path.join(cliPath, 'api.v2.error-2025-01-31.log')])).output).route, 'api.v2');
+
+    // Test 29: Flood protection
+  console.log('\n📝 Test 29: Rate limiting, sampling and deduplication');
+  const floodPath = './test-logs/flood/';
+  fs.rmSync(floodPath, { recursive: true, force: true });
+  const floodLogger = new AppLogger('test-flood', {
+    logPath: floodPath,
+    consoleOutput: 'off',
+    logTracelevel: 'debug',
+    format: 'json',
+    throttle: { dedupe: 100, sample: { debug: 4 }, rateLimit: { warn: { limit: 3, interval: 60000 }, '*': { limit: 5, interval: 60000 } }, perMessage: false }
+  });
+  for (let i = 0; i < 50; i++) {
+    await floodLogger.error('Sensor read failed');
+  }
+  for (let i = 0; i < 10; i++) {
+    await floodLogger.child({ attempt: i }).warn(`Retry ${i}`);
+  }
+  for (let i = 0; i < 8; i++) {
+    await floodLogger.debug(`Poll ${i}`);
+  }
+  for (let i = 0; i < 3; i++) {
+    await floodLogger.exception('Bus failure');
+  }
+  await wait(200);
+  const floodEntries = await floodLogger.query();
+  assert.deepStrictEqual(floodEntries.filter(entry => entry.level === 'warn').map(entry => entry.message), ['Retry 0', 'Retry 1', 'Retry 2']);
+  assert.deepStrictEqual(floodEntries.filter(entry => entry.level === 'debug').map(entry => entry.message), ['Poll 0', 'Poll 4']);
+  assert.strictEqual(floodEntries.filter(entry => entry.level === 'exception').length, 3);
+  const repeated = floodEntries.filter(entry => entry.level === 'error');
+  assert.deepStrictEqual(repeated.map(entry => entry.message), ['Sensor read failed', 'Message repeated 49 times in 0.1s: Sensor read failed']);
+  assert.deepStrictEqual(repeated[1].data, { repeated: 49, interval: 100 });
+
+  // Changing the throttle summarizes what the old settings left out
+  await floodLogger.updateConfig({ throttle: null });
+  await floodLogger.warn('Retry after change');
+  const changedEntries = (await floodLogger.query({ level: ['warn'] })).map(entry => entry.message);
+  assert.deepStrictEqual(changedEntries.slice(3), ['Rate limit dropped 7 warn entries in 60s', 'Retry after change']);
+  await floodLogger.close();
+
+  assert.throws(() => new AppLogger('test-flood-bad', { throttle: { sample: { verbose: 2 } } }), /throttle\.sample must be an object mapping exception, error/);
+  assert.throws(() => new AppLogger('test-flood-bad', { throttle: { rateLimit: { error: { limit: 0, interval: 1000 } } } }), /throttle\.rateLimit must be/);
+  assert.throws(() => new AppLogger('test-flood-bad', { throttle: { burst: 5 } }), /throttle\.burst must be left out/);
+
+  // At most 10000 dedupe windows are open, a flood of distinct messages closes the least recently used one early
+  const dedupeLogger = new AppLogger('test-flood-dedupe', { logPath: floodPath, consoleOutput: 'off', format: 'json', throttle: { dedupe: 60000 } });
+  dedupeLogger.info('Hot message');
+  dedupeLogger.info('Cold message');
+  dedupeLogger.info('Cold message');
+  for (let i = 0; i < 9999; i++) {
+    dedupeLogger.info(`Distinct ${i}`);
+    dedupeLogger.info('Hot message');
+  }
+  dedupeLogger.info('Cold message');
+  await dedupeLogger.close();
+  const dedupeMessages = fs.readFileSync(path.join(floodPath, 'test-flood-dedupe.log'), 'utf8').trim().split('\n').map(line => JSON.parse(line).message);
+  assert.strictEqual(dedupeMessages.length, 10004);
+  assert.deepStrictEqual(dedupeMessages.filter(message => /Cold/.test(message)), ['Cold message', 'Message repeated 1 times in 60s: Cold message', 'Cold message']);
+  assert.deepStrictEqual(dedupeMessages.filter(message => /Hot/.test(message)), ['Hot message', 'Message repeated 9999 times in 60s: Hot message']);
+
+    // Test 30: Buffered writing
+  console.log('\n📝 Test 30: Buffered writing');
+  const bufferPath = './test-logs/buffer/';
+  fs.rmSync(bufferPath, { recursive: true, force: true });
+  const bufferedLogger = (route, buffer, extra = {}) => new AppLogger(route, { logPath: bufferPath, consoleOutput: 'off', format: 'json', buffer, ...extra });
+  const readBuffered = route => fs.readFileSync(path.join(bufferPath, `${route}.log`), 'utf8').trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+  const batchLogger = bufferedLogger('test-buffer', { size: 50, interval: 60000 });
+  const bufferedNow = Date.now;
+  Date.now = () => new Date('2025-01-31T10:00:00.000Z').getTime();
+  try {
+    await batchLogger.info('Queued at call time', { reading: 21.5 });
+  }
+  finally {
+    Date.now = bufferedNow;
+  }
+  await batchLogger.child({ sensor: 'dht22' }).warn('Second queued');
+  await batchLogger.flush();
+  const batched = readBuffered('test-buffer');
+  assert.deepStrictEqual(batched.map(entry => entry.message), ['Queued at call time', 'Second queued']);
+  assert.strictEqual(batched[0].timestamp, '2025-01-31T10:00:00.000Z');
+  assert.deepStrictEqual(batched[1].context, { sensor: 'dht22' });
+  await batchLogger.info('Written by close');
+  await batchLogger.close();
+  assert.strictEqual(readBuffered('test-buffer').pop().message, 'Written by close');
+
+  const overflows = [];
+  const oldestLogger = bufferedLogger('test-buffer-oldest', { size: 5, maxEntries: 5 });
+  const newestLogger = bufferedLogger('test-buffer-newest', { size: 5, maxEntries: 5, overflow: 'dropNewest' });
+  const blockLogger = bufferedLogger('test-buffer-block', { size: 2, maxEntries: 2, overflow: 'block' });
+  [oldestLogger, newestLogger, blockLogger].forEach(logger => logger.on('overflow', info => overflows.push(info)));
+  const burst = [];
+  for (let i = 0; i < 12; i++) {
+    burst.push(oldestLogger.info(`Reading ${i}`), newestLogger.info(`Reading ${i}`));
+  }
+  await Promise.all(burst);
+  // Awaiting callers of a blocking buffer lose nothing
+  for (let i = 0; i < 12; i++) {
+    await blockLogger.info(`Reading ${i}`);
+  }
+  await Promise.all([oldestLogger.close(), newestLogger.close(), blockLogger.close()]);
+  assert.deepStrictEqual(readBuffered('test-buffer-oldest').map(entry => entry.message), ['Reading 7', 'Reading 8', 'Reading 9', 'Reading 10', 'Reading 11']);
+  assert.deepStrictEqual(readBuffered('test-buffer-newest').map(entry => entry.message), ['Reading 0', 'Reading 1', 'Reading 2', 'Reading 3', 'Reading 4']);
+  assert.strictEqual(readBuffered('test-buffer-block').length, 12);
+  assert.deepStrictEqual(overflows, [
+    { route: 'test-buffer-oldest', dropped: 7, policy: 'dropOldest' },
+    { route: 'test-buffer-newest', dropped: 7, policy: 'dropNewest' }
+  ]);
+
+  // Entries waiting on a full blocking buffer are capped, calls that are not awaited cannot exhaust memory
+  const blockFloodOverflows = [];
+  const blockFloodLogger = bufferedLogger('test-buffer-flood', { size: 5, maxEntries: 5, overflow: 'block' });
+  blockFloodLogger.on('overflow', info => blockFloodOverflows.push(info));
+  for (let i = 0; i < 10000; i++) {
+    blockFloodLogger.info(`Flood ${i}`);
+  }
+  await blockFloodLogger.close();
+  assert.deepStrictEqual(readBuffered('test-buffer-flood').map(entry => entry.message), Array.from({ length: 10 }, (_, i) => `Flood ${i}`));
+  assert.deepStrictEqual(blockFloodOverflows, [{ route: 'test-buffer-flood', dropped: 9990, policy: 'block' }]);
+
+  // Dropped entries do not report success to callers awaiting their write
+  const droppedLogger = bufferedLogger('test-buffer-dropped', { size: 2, maxEntries: 2, overflow: 'dropNewest' }, { durability: 'write' });
+  const droppedResults = await Promise.allSettled(['First', 'Second', 'Third'].map(message => droppedLogger.info(message)));
+  assert.deepStrictEqual(droppedResults.map(result => result.status), ['fulfilled', 'fulfilled', 'rejected']);
+  assert.ok(/Entry dropped, the write buffer is full \(overflow: dropNewest\)/.test(droppedResults[2].reason.message));
+  assert.deepStrictEqual(readBuffered('test-buffer-dropped').map(entry => entry.message), ['First', 'Second']);
+  await droppedLogger.close();
+
+  const durableBuffered = bufferedLogger('test-buffer-durable', { interval: 20 }, { durability: 'write' });
+  await durableBuffered.info('Awaited until written');
+  assert.strictEqual(readBuffered('test-buffer-durable')[0].message, 'Awaited until written');
+  await durableBuffered.close();
+  assert.throws(() => bufferedLogger('test-buffer-bad', { size: 200, maxEntries: 100 }), /buffer\.size must not exceed buffer\.maxEntries/);
+  assert.throws(() => bufferedLogger('test-buffer-bad', { overflow: 'wait' }), /buffer\.overflow must be one of: dropOldest, dropNewest, block/);
+
+    // Test 31: Custom transports and formatter
+  console.log('\n📝 Test 31: Custom transports and formatter');
+  const transportPath = './test-logs/transports/';
+  fs.rmSync(transportPath, { recursive: true, force: true });
+  const received = [];
+  let memoryClosed = 0;
+  const memoryTransport = { name: 'memory', write: entry => { received.push(entry); }, close: () => { memoryClosed++; } };
+  const transportLogger = new AppLogger('test-transports', {
+    logPath: transportPath,
+    consoleOutput: 'off',
+    timestampFormat: 'iso',
+    transports: [memoryTransport],
+    formatter: (entry, { formatTimestamp, ownerRoute }) => `${formatTimestamp(entry.timestamp)} [${ownerRoute}] ${entry.level.toUpperCase()} ${entry.message}`
+  });
+  await transportLogger.info('Reading', { temperature: 21.5 });
+  await transportLogger.child({ sensor: 'dht22' }).warn('Sensor slow');
+  await transportLogger.flush();
+  assert.deepStrictEqual(received.map(entry => [entry.level, entry.route, entry.message]), [['info', 'test-transports', 'Reading'], ['warn', 'test-transports', 'Sensor slow']]);
+  assert.ok(received[0].timestamp instanceof Date);
+  assert.deepStrictEqual(received[0].data, { temperature: 21.5 });
+  assert.deepStrictEqual(received[1].context, { sensor: 'dht22' });
+  assert.strictEqual(received[0].line, `${received[0].timestamp.toISOString()} [test-transports] INFO Reading`);
+  const formattedLines = fs.readFileSync(path.join(transportPath, 'test-transports.log'), 'utf8').trim().split('\n');
+  assert.deepStrictEqual(formattedLines, received.map(entry => entry.line));
+
+  // Transports outlive reconfiguration and follow the format
+  await transportLogger.updateConfig({ format: 'json', logPath: path.join(transportPath, 'moved') });
+  await transportLogger.error('After reconfiguration');
+  await transportLogger.flush();
+  assert.strictEqual(memoryClosed, 0);
+  assert.strictEqual(JSON.parse(received[2].line).message, 'After reconfiguration');
+
+  // A failing transport is reported, awaited writes reject with durability
+  const failures = [];
+  const onTransportWarning = warning => failures.push(warning.message);
+  process.on('warning', onTransportWarning);
+  const slowWrites = [];
+  transportLogger.addTransport({ name: 'failing', write: () => Promise.reject(new Error('Endpoint down')) })
+                 .addTransport({ name: 'slow', write: entry => new Promise(resolve => setTimeout(() => resolve(slowWrites.push(entry.message)), 20)) });
+  await transportLogger.updateConfig({ durability: 'write' });
+  await assert.rejects(transportLogger.info('Not delivered'), /Endpoint down/);
+  await transportLogger.flush();
+  assert.deepStrictEqual(slowWrites, ['Not delivered']);
+  await new Promise(resolve => setImmediate(resolve));
+  process.removeListener('warning', onTransportWarning);
+  assert.ok(failures.includes("Transport 'failing' failed: Endpoint down"));
+  assert.strictEqual(await transportLogger.removeTransport('failing'), true);
+  assert.strictEqual(await transportLogger.removeTransport('failing'), false);
+  await transportLogger.info('Delivered');
+  assert.deepStrictEqual(slowWrites, ['Not delivered', 'Delivered']);
+
+  // Winston transports work as they are
+  const winston = require('winston');
+  const winstonMessages = [];
+  let winstonClosed = 0;
+  class ArrayTransport extends winston.Transport {
+    log(info, callback) {
+      winstonMessages.push(`${info.level}: ${info.message}`);
+      callback();
+    }
+
+    close() {
+      winstonClosed++;
+    }
+  }
+  transportLogger.addTransport(new ArrayTransport({ level: 'warn' }));
+  await transportLogger.info('Below the transport level');
+  await transportLogger.warn('Winston transport');
+  assert.deepStrictEqual(winstonMessages, ['warn: Winston transport']);
+
+  await transportLogger.close();
+  assert.strictEqual(memoryClosed, 1);
+  assert.strictEqual(winstonClosed, 1);
+  assert.throws(() => new AppLogger('test-transports-bad', { transports: [{ name: 'memory' }] }), /transports must be a list of Winston transports or \{ name, write\(entry\), close\(\) \} objects; transports\[0\] is neither/);
+  assert.throws(() => new AppLogger('test-transports-bad', { formatter: 'short' }), /formatter must be null or a function/);
+
+    // Cleanup
   console.log('\n🧹 Cleaning up loggers...');
   await basicLogger.close();
   await customLogger.close();
@@ -122,6 +1354,17 @@ async function runTests() {
   await appLogger.close();
   await httpLogger.close();
   await compatLogger.close();
+  await jsonLogger.close();
+  await parentLogger.close();
+  await contextLogger.close();
+  await middlewareLogger.close();
+  await errorLogger.close();
+  await safeLogger.close();
+  await redactLogger.close();
+  await hashLogger.close();
+  for (const logger of Object.values(timestampLoggers)) {
+    await logger.close();
+  }
   
   console.log('\n✅ All tests completed successfully!');
   console.log('\n📁 Check the following directories for log files:');
@@ -134,4 +1377,7 @@ async function runTests() {
 }
 
 // Handle async execution
-runTests().catch(console.error);
+runTests().catch(error => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
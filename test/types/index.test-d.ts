@@ -0,0 +1,195 @@
+/**
+ * Type-level test for src/index.d.ts
+ * Run with: npm run test:types
+ */
+
+import AppLogger = require('../../src/index.js');
+import DefaultAppLogger from '../../src/index.js';
+
+const config: AppLogger.LoggerConfig = {
+  logTracelevel: 'debug',
+  consoleOutput: 'on',
+  logPath: './logs/',
+  dateLocale: 'en-US',
+  fileRotation: true,
+  maxFileSize: '20m',
+  maxFiles: '14d',
+  datePattern: 'YYYY-MM-DD-HH',
+  zippedArchive: true,
+  maxTotalSize: '500m',
+  format: 'text',
+  consoleFormat: 'text',
+  fileFormat: 'json',
+  maxDepth: 10,
+  maxArrayLength: 100,
+  maxStringLength: 10000,
+  maxPayloadBytes: 65536,
+  redact: { paths: ['password'], patterns: [/Bearer\s+\S+/], censor: '[REDACTED]', hash: false },
+  timestampFormat: 'iso',
+  timeZone: 'Europe/Berlin',
+  timestampMilliseconds: true,
+  configFile: null,
+  watchConfig: false,
+  durability: 'fsync',
+  errorFile: true,
+  audit: { key: 'audit-secret', minLevel: 'info', rotation: true },
+  buffer: { size: 500, interval: 250, maxEntries: 50000, overflow: 'block' },
+  transports: [{ name: 'memory', write: (entry: AppLogger.TransportEntry) => { const line: string = entry.line; void line; } }],
+  formatter: (entry, { formatTimestamp, ownerRoute }) => `${formatTimestamp(entry.timestamp)} ${ownerRoute} ${entry.level} ${entry.message}`,
+  throttle: { rateLimit: { error: { limit: 20, interval: 60000 }, '*': { limit: 100, interval: 1000 } }, perMessage: true, sample: { debug: 10 }, dedupe: 60000, exempt: ['exception'] },
+  outputs: [
+    { filename: '{route}.debug.json', levels: ['debug', 'trace'], format: 'json' },
+    { filename: '{route}.http.log', minLevel: 'http', maxLevel: 'warn', rotation: true, maxSize: '5m', maxFiles: '7d' },
+    { filename: '{route}.metrics.log', rotation: true, maxSize: 1048576, maxFiles: 5 }
+  ],
+  handleExit: true,
+  exitTimeout: 3000,
+  strict: true
+};
+
+// Sizes and file counts may also be numbers, as the validator accepts them
+const numericConfig: AppLogger.LoggerConfig = { fileRotation: true, maxFileSize: 20971520, maxFiles: 10 };
+void numericConfig;
+
+async function useLogger(): Promise<void> {
+  const logger = new AppLogger('typed-module', config);
+  const defaultLogger: AppLogger = new DefaultAppLogger('typed-default');
+
+  await logger.exception('exception', new Error('boom'));
+  await logger.error('error', { code: 1 });
+  await logger.warn('warn');
+  await logger.info('info');
+  await logger.http('http');
+  await logger.trace('trace');
+  await logger.debug('debug');
+  await logger.genLog('info', 'generic');
+
+  const child: AppLogger = logger.child({ requestId: 'r1' });
+  const route: string = child.route;
+  const context: Record<string, any> = child.context;
+
+  const current: Required<AppLogger.LoggerConfig> = logger.getConfig();
+  const level: AppLogger.LogLevel = current.logTracelevel;
+  const reconfigured: Promise<void> = logger.updateConfig({ logTracelevel: 'warn' });
+  logger.on('reconfigured', (info: AppLogger.ReconfiguredEvent) => {
+    const changed: string[] = info.changed;
+    const replaced: boolean = info.transportsReplaced;
+  });
+  logger.on('rotate', ({ oldFile, newFile }: AppLogger.RotateEvent) => {
+    const files: string[] = [oldFile, newFile];
+  });
+  logger.once('archive', (info: AppLogger.ArchiveEvent) => {
+    const archive: string = info.file;
+  });
+  logger.on('overflow', ({ dropped, policy }) => {
+    const lost: number = dropped;
+    const overflow: AppLogger.OverflowPolicy = policy;
+  });
+
+  const sink: AppLogger.TransportObject = { name: 'sink', write: async entry => void entry.timestamp.getTime(), close: async () => undefined };
+  const chained: AppLogger = logger.addTransport(sink);
+  const removed: boolean = await logger.removeTransport('sink');
+  void [chained, removed];
+
+  const result: number = AppLogger.runWithContext({ correlationId: 'c1' }, () => 42);
+  AppLogger.setContext({ userId: 7 });
+  const active: Record<string, any> = AppLogger.getContext();
+
+  const middleware: AppLogger.RequestLoggingMiddleware = AppLogger.middleware(logger, {
+    skip: ['/health', /^\/static/],
+    requestId: true,
+    requestIdHeader: 'x-request-id'
+  });
+
+  const enabled: boolean = child.isLevelEnabled('debug');
+  const threshold: AppLogger.LogLevel = child.getLevel();
+
+  AppLogger.configure({ name: 'service', logTracelevel: 'info', routes: { sensor: { logTracelevel: 'debug' } } });
+  const moduleLogger: AppLogger = AppLogger.get('sensor', { consoleOutput: 'off' });
+  moduleLogger.level = 'trace';
+
+  AppLogger.setLevel('sensor:*', 'debug');
+  AppLogger.setLevel('sensor:*', null);
+  AppLogger.setLevels('*=info,http=warn');
+
+  try {
+    new AppLogger('invalid', { strict: true });
+  } catch (error) {
+    if (error instanceof AppLogger.AppLoggerConfigError) {
+      const problems: string[] = error.problems;
+      void problems;
+    }
+  }
+
+  const custom = new AppLogger('typed-levels', {
+    levels: { audit: { priority: 2, color: 'magenta' }, metric: 5 },
+    logTracelevel: 'audit'
+  });
+  await custom.audit('custom level', { userId: 7 });
+  await custom.child({ requestId: 'r2' }).metric('child custom level');
+  await custom.genLog('metric', 'generic custom level');
+  const customLevel: AppLogger.LogLevel | 'audit' | 'metric' = custom.getLevel();
+  AppLogger.setLevel<'audit'>('typed-levels', 'audit');
+  await custom.close();
+
+  await logger.flush();
+  const recent: AppLogger.LogEntry[] = await logger.query({ from: new Date(), level: 'warn', text: /timeout/, limit: 20 });
+  const when: Date | null = recent[0].timestamp;
+  for await (const entry of logger.tail({ lines: 5, follow: true, route: 'api-service' })) {
+    const message: string = entry.message;
+    void message;
+    break;
+  }
+  void when;
+  await logger.close();
+  await defaultLogger.close();
+  await AppLogger.closeAll();
+
+  const verification: AppLogger.AuditVerification = await AppLogger.verifyAuditLog('./logs/api-service.audit.log', 'audit-secret');
+  const brokenAt: number | undefined = verification.broken?.line;
+  const pruned: AppLogger.AuditVerification = await AppLogger.verifyAuditLog('./logs/api-service.audit.log', 'audit-secret', { allowPruned: true });
+  void pruned;
+  void [verification.valid, brokenAt];
+  void [route, context, level, result, active, middleware, enabled, threshold, customLevel];
+}
+
+// @ts-expect-error unknown level
+new AppLogger('bad-level', { logTracelevel: 'verbose' });
+
+// @ts-expect-error consoleOutput is 'on' | 'off'
+new AppLogger('bad-console', { consoleOutput: true });
+
+// @ts-expect-error unknown format
+new AppLogger('bad-format', { format: 'xml' });
+
+// @ts-expect-error unknown durability mode
+new AppLogger('bad-durability', { durability: 'sync' });
+
+// @ts-expect-error genLog only accepts known levels
+new AppLogger('bad-genlog').genLog('verbose', 'message');
+
+// @ts-expect-error setLevel only accepts known levels
+AppLogger.setLevel('sensor:*', 'verbose');
+
+// @ts-expect-error levels without a definition have no method
+new AppLogger('bad-level-method', { levels: { audit: 2 } }).metric('message');
+
+// @ts-expect-error output levels must be known levels
+new AppLogger('bad-output', { outputs: [{ filename: 'x.log', minLevel: 'verbose' }] });
+
+// @ts-expect-error audit logs are always JSON
+new AppLogger('bad-audit', { audit: { key: 'k', format: 'text' } });
+
+// @ts-expect-error throttle levels must be known levels
+new AppLogger('bad-throttle', { throttle: { sample: { verbose: 10 } } });
+
+// @ts-expect-error unknown overflow policy
+new AppLogger('bad-buffer', { buffer: { overflow: 'wait' } });
+
+// @ts-expect-error transport objects need a write method
+new AppLogger('bad-transport', { transports: [{ name: 'memory' }] });
+
+// @ts-expect-error route is required
+new AppLogger();
+
+void useLogger;